@@ -22,6 +22,17 @@ const Config = {
     }
   },
 
+  // **get()** returns the value of the setting `name`, or
+  // `undefined` if it is not set.  `name` is the section, an optional
+  // subsection and the key, joined by dots, like `merge.conflictStyle`
+  // or `remote.origin.url`.
+  get(name) {
+    const pieces = name.split('.');
+    const subsection = pieces.slice(1, -1).join('.');
+    const settings = (Config.read()[pieces[0]] || {})[subsection] || {};
+    return settings[pieces[pieces.length - 1]];
+  },
+
   // **read()** returns the contents of the config file as a nested JS
   // object.
   read() {
@@ -21,11 +21,15 @@
 //     giver: hash(c)
 //   }
 // }</pre>
+// Diffs that compare modes (see `addModes()`) also have the
+// `receiverMode` and `giverMode` of each file, like `"100755"`.
 
+const Files = require('./files');
 const Refs = require('./refs');
 const Objects = require('./objects');
 const Util = require('./util');
 const Index = require('./index');
+const TextDiff = require('./textDiff');
 
 const Diff = {
   FILE_STATUS: {
@@ -36,11 +40,40 @@ const Diff = {
   // diff object).  If `hash1` is passed, it is used as the first
   // version in the Diff.  If it is not passed, the index is used.  If
   // `hash2` is passed, it is used as the second version in the Diff.
-  // If it is not passed, the working copy is used.
+  // If it is not passed, the working copy is used.  The modes of the
+  // files are compared, as well as their content.
   diff(hash1, hash2) {
     const a = hash1 === undefined ? Index.toc() : Objects.commitToc(hash1);
     const b = hash2 === undefined ? Index.workingCopyToc() : Objects.commitToc(hash2);
-    return Diff.tocDiff(a, b);
+    return Diff.addModes(Diff.tocDiff(a, b),
+      hash1 === undefined ? Index.modes() : Objects.commitModes(hash1),
+      hash2 === undefined ? Index.workingCopyModes() : Objects.commitModes(hash2));
+  },
+
+  // **addModes()** adds the `receiverMode` and `giverMode` of each
+  // file to the diff `dif` and returns it.  `receiverModes`,
+  // `giverModes` and `baseModes` map file paths to modes.  A file
+  // that has the same content in both versions, but a different mode,
+  // is given the modify status.  If `baseModes` is passed, `dif` is a
+  // merge diff, and `giverMode` is the mode the merged file should
+  // have: the giver's mode if the giver changed it, or else the
+  // receiver's mode.
+  addModes(dif, receiverModes, giverModes, baseModes) {
+    const modeOf = (modes, hash, p) => (hash === undefined ? undefined : modes[p] || '100644');
+    Object.keys(dif).forEach((p) => {
+      const d = dif[p];
+      d.receiverMode = modeOf(receiverModes, d.receiver, p);
+      d.giverMode = modeOf(giverModes, d.giver, p);
+      if (baseModes !== undefined && d.receiverMode !== undefined
+          && d.giverMode === modeOf(baseModes, d.base, p)) {
+        d.giverMode = d.receiverMode;
+      }
+
+      if (d.status === Diff.FILE_STATUS.SAME && d.receiverMode !== d.giverMode) {
+        d.status = Diff.FILE_STATUS.MODIFY;
+      }
+    });
+    return dif;
   },
 
   // **nameStatus()** takes a diff and returns a JS object that maps
@@ -51,6 +84,108 @@ const Diff = {
       .reduce((ns, p) => Util.setIn(ns, [p, dif[p].status]), {});
   },
 
+  // **fileContent()** returns a buffer of the content of the version
+  // of the file at `path` that has the hash `hash`.  Versions in the
+  // working copy are not in the objects database, so they are read
+  // from the file itself.  It returns `undefined` if `hash` is
+  // undefined.
+  fileContent(hash, path) {
+    if (hash === undefined) {
+      return undefined;
+    }
+    return Objects.exists(hash)
+      ? Objects.readBuffer(hash)
+      : Files.readBlob(Files.workingCopyPath(path));
+  },
+
+  // **fileText()** is like `fileContent()`, but returns the content as
+  // a string.
+  fileText(hash, path) {
+    const content = Diff.fileContent(hash, path);
+    return content === undefined ? undefined : content.toString('utf8');
+  },
+
+  // **isBinary()** returns true if any version of the file at `path`
+  // in the diff `dif` is binary, so it cannot be compared or merged
+  // line by line.
+  isBinary(dif, path) {
+    return [dif[path].receiver, dif[path].base, dif[path].giver]
+      .filter(h => TextDiff.isBinary(Diff.fileContent(h, path))).length > 0;
+  },
+
+  // **patch()** takes a diff and returns the unified diff of the
+  // content of each changed file, with `context` lines of context
+  // around each change.  A change to the mode of a file is shown as
+  // an `old mode` and a `new mode` line.
+  patch(dif, context) {
+    return Object.keys(Diff.nameStatus(dif)).map((p) => {
+      const { receiverMode = '100644', giverMode = '100644' } = dif[p];
+      const aName = dif[p].receiver === undefined ? '/dev/null' : `a/${p}`;
+      const bName = dif[p].giver === undefined ? '/dev/null' : `b/${p}`;
+      const modeChanged = dif[p].receiver !== undefined && dif[p].giver !== undefined
+        && receiverMode !== giverMode;
+      const header = [`diff --git a/${p} b/${p}`]
+        .concat(modeChanged ? [`old mode ${receiverMode}`, `new mode ${giverMode}`] : [])
+        .concat(dif[p].receiver === undefined ? [`new file mode ${giverMode}`] : [])
+        .concat(dif[p].giver === undefined ? [`deleted file mode ${receiverMode}`] : []);
+      if (dif[p].receiver === dif[p].giver) {
+        return header.join('\n');
+      }
+
+      const body = Diff.isBinary(dif, p)
+        ? `Binary files ${aName} and ${bName} differ`
+        : TextDiff.unified(aName, bName,
+          Diff.fileText(dif[p].receiver, p),
+          Diff.fileText(dif[p].giver, p),
+          context);
+      return header.concat(body === '' ? [] : [body]).join('\n');
+    }).join('\n');
+  },
+
+  // **stat()** takes a diff and returns a summary of the number of
+  // lines inserted and deleted in each changed file, like:<br/>
+  // ` file1 | 3 ++-`<br/>
+  // For a binary file, it shows the sizes of the two versions, like:<br/>
+  // ` image.png | Bin 120 -> 140 bytes`
+  stat(dif) {
+    const stats = Object.keys(Diff.nameStatus(dif)).map((p) => {
+      if (Diff.isBinary(dif, p)) {
+        const size = h => (h === undefined ? 0 : Diff.fileContent(h, p).length);
+        return {
+          path: p,
+          insertions: 0,
+          deletions: 0,
+          binary: `Bin ${size(dif[p].receiver)} -> ${size(dif[p].giver)} bytes`,
+        };
+      }
+      return Object.assign({ path: p },
+        TextDiff.stat(Diff.fileText(dif[p].receiver, p), Diff.fileText(dif[p].giver, p)));
+    });
+    if (stats.length === 0) {
+      return '';
+    }
+
+    // Scale the bars of `+` and `-` down if the biggest change has
+    // more lines than fit.
+    const maxBar = 50;
+    const pathWidth = Math.max(...stats.map(s => s.path.length));
+    const biggest = Math.max(...stats.map(s => s.insertions + s.deletions));
+    const scale = n => (biggest > maxBar ? Math.ceil(n * maxBar / biggest) : n);
+    const countWidth = `${biggest}`.length;
+
+    const insertions = stats.reduce((sum, s) => sum + s.insertions, 0);
+    const deletions = stats.reduce((sum, s) => sum + s.deletions, 0);
+    return stats
+      .map(s => (s.binary !== undefined
+        ? ` ${s.path.padEnd(pathWidth)} | ${s.binary}`
+        : ` ${s.path.padEnd(pathWidth)} | ${`${s.insertions + s.deletions}`.padStart(countWidth)} ${
+          '+'.repeat(scale(s.insertions))}${'-'.repeat(scale(s.deletions))}`.replace(/\s+$/, '')))
+      .concat(` ${stats.length} file${stats.length === 1 ? '' : 's'} changed, `
+        + `${insertions} insertion${insertions === 1 ? '' : 's'}(+), `
+        + `${deletions} deletion${deletions === 1 ? '' : 's'}(-)`)
+      .join('\n');
+  },
+
   // **tocDiff()** takes three JS objects that map file paths to
   // hashes of file content.  It returns a diff between `receiver` and
   // `giver` (see the module description for the format).  `base` is
@@ -58,7 +193,9 @@ const Diff = {
   // `receiver` and `giver`.  If `base` is not passed, `receiver` is
   // used as the base.  The base is only passed when getting the diff
   // for a merge.  This is the only time the conflict status might be
-  // used.
+  // used.  In a merge diff, a file that only the receiver changed
+  // since the base keeps the receiver's version: its `giver` is set to
+  // the receiver's version, so it has the same status.
   tocDiff(receiver, giver, base) {
     // fileStatus() takes three strings that represent different
     // versions of the content of a file.  It returns the change that
@@ -90,12 +227,15 @@ const Diff = {
     const paths = Object.keys(receiver).concat(Object.keys(base)).concat(Object.keys(giver));
 
     // Create and return Diff.
-    return Util.unique(paths).reduce((idx, p) => Util.setIn(idx, [p, {
-      status: fileStatus(receiver[p], giver[p], base[p]),
-      receiver: receiver[p],
-      base: base[p],
-      giver: giver[p],
-    }]), {});
+    return Util.unique(paths).reduce((idx, p) => {
+      const merged = giver[p] === base[p] ? receiver[p] : giver[p];
+      return Util.setIn(idx, [p, {
+        status: fileStatus(receiver[p], merged, base[p]),
+        receiver: receiver[p],
+        base: base[p],
+        giver: merged,
+      }]);
+    }, {});
   },
 
   // **changedFilesCommitWouldOverwrite()** gets a list of files
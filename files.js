@@ -23,23 +23,43 @@ const Files = {
 
   // **pathFromRepoRoot()** returns `path` relative to the repo root
   pathFromRepoRoot(path) {
-    return nodePath.relative(Files.workingCopyPath(), nodePath.join(process.cwd(), path));
+    return nodePath.relative(Files.workingCopyPath(), nodePath.resolve(process.cwd(), path));
   },
 
   // **write()** writes `content` to file at `path`, overwriting
-  // anything that is already there.
-  write(path, content) {
+  // anything that is already there.  If `mode` is passed, the file is
+  // given that mode: `100644` for a regular file, `100755` for an
+  // executable file or `120000` for a symlink that points at
+  // `content`.  An existing symlink is replaced rather than followed,
+  // and so is any file that is in the way of a new symlink.
+  write(path, content, mode) {
+    const existing = Files.lexists(path) ? fs.lstatSync(path) : undefined;
+    if (existing !== undefined && (existing.isSymbolicLink()
+        || (mode === '120000' && !existing.isDirectory()))) {
+      fs.unlinkSync(path);
+    }
+
+    if (mode === '120000') {
+      fs.mkdirSync(nodePath.dirname(path), { recursive: true });
+      fs.symlinkSync(content.toString(), path);
+      return;
+    }
+
     const prefix = Os.platform() === 'win32' ? '.' : '/';
     Files.writeFilesFromTree(Util.setIn({}, path.split(nodePath.sep).concat(content)), prefix);
+    if (mode !== undefined) {
+      fs.chmodSync(path, mode === '100755' ? 0o755 : 0o644);
+    }
   },
 
   // **writeFilesFromTree()** takes `tree` of files as a nested JS obj
   // and writes all those files to disk taking `prefix` as the root of
-  // the tree.  `tree` format is: `{ a: { b: { c: "filecontent" }}}`
+  // the tree.  `tree` format is: `{ a: { b: { c: "filecontent" }}}`.
+  // File content can be a string or a buffer.
   writeFilesFromTree(tree, prefix) {
     Object.keys(tree).forEach((name) => {
       const path = nodePath.join(prefix, name);
-      if (Util.isString(tree[name])) {
+      if (Util.isString(tree[name]) || Buffer.isBuffer(tree[name])) {
         fs.writeFileSync(path, tree[name]);
       } else {
         if (!fs.existsSync(path)) {
@@ -54,7 +74,7 @@ const Files = {
   // **rmEmptyDirs()** recursively removes all the empty directories
   // inside `path`.
   rmEmptyDirs(path) {
-    if (fs.statSync(path).isDirectory()) {
+    if (fs.lstatSync(path).isDirectory()) {
       fs.readdirSync(path).forEach((c) => { Files.rmEmptyDirs(nodePath.join(path, c)); });
       if (fs.readdirSync(path).length === 0) {
         fs.rmdirSync(path);
@@ -70,6 +90,48 @@ const Files = {
     }
   },
 
+  // **readBuffer()** returns the contents of the file at `path` as a
+  // buffer, so content that is not text is read as it is.  It returns
+  // `undefined` if the file doesn't exist.
+  readBuffer(path) {
+    if (fs.existsSync(path)) {
+      return fs.readFileSync(path);
+    }
+    return undefined;
+  },
+
+  // **readBlob()** returns a buffer of the content that is stored in
+  // a blob for the file at `path`.  For a symlink, this is the path
+  // it points at, rather than the content of the file it points at.
+  readBlob(path) {
+    return fs.lstatSync(path).isSymbolicLink()
+      ? Buffer.from(fs.readlinkSync(path))
+      : Files.readBuffer(path);
+  },
+
+  // **lexists()** returns true if there is a file, directory or
+  // symlink at `path`.  Unlike `fs.existsSync()`, it is true for a
+  // symlink that points at nothing.
+  lexists(path) {
+    try {
+      fs.lstatSync(path);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  // **mode()** returns the mode that is recorded for the file at
+  // `path`: `120000` for a symlink, `100755` for an executable file
+  // and `100644` for any other file.
+  mode(path) {
+    const stat = fs.lstatSync(path);
+    if (stat.isSymbolicLink()) {
+      return '120000';
+    }
+    return Math.floor(stat.mode / 0o100) % 2 === 1 ? '100755' : '100644';
+  },
+
   // **gitletPath()** returns a string made by concatenating `path` to
   // the absolute path of the `.gitlet` directory of the repository.
   gitletPath(path = '') {
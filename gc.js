@@ -0,0 +1,112 @@
+// Gc module
+// ---------
+
+// Works out which objects in the database are still in use.  An object
+// is reachable if a ref, `HEAD`, `MERGE_HEAD`, `FETCH_HEAD`, an entry
+// in the log of a ref or the index points at it, or if it is pointed
+// at by a reachable commit, tree or tag.  Objects that are not
+// reachable are left behind by merges, amends and files that were
+// added and then changed again.  They can be removed once they are
+// old enough that nothing is still using them.
+
+const fs = require('fs');
+const Config = require('./config');
+const Files = require('./files');
+const Index = require('./index');
+const Log = require('./log');
+const Objects = require('./objects');
+const Refs = require('./refs');
+const Util = require('./util');
+
+// `UNITS` maps the units of time that can be used in an expiry date,
+// like `2.weeks.ago`, to their length in milliseconds.
+const UNITS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const Gc = {
+
+  // **roots()** returns an array of the refs that objects can be
+  // reached from, and the hashes they point at, like `[{ name:
+  // "HEAD", hash: "hash(1)" }]`.  These are all the refs under
+  // `refs/`, `HEAD`, `MERGE_HEAD`, `ORIG_HEAD`, every line of
+  // `FETCH_HEAD` and every entry in the logs of refs, like `HEAD@{2}`.
+  roots() {
+    const refs = Refs.allRefs();
+    const fetchHeadPath = Files.gitletPath('FETCH_HEAD');
+    const fetched = fs.existsSync(fetchHeadPath)
+      ? Util.lines(Files.read(fetchHeadPath)).map(l => l.split(' ')[0])
+      : [];
+    const logged = Util.flatten(Refs.loggedRefs().map(r => Refs.readLog(r).reverse()
+      .map((e, i) => ({ name: `${r}@{${i}}`, hash: e.newHash }))));
+
+    return Object.keys(refs).map(r => ({ name: r, hash: refs[r] }))
+      .concat(['HEAD', 'MERGE_HEAD', 'ORIG_HEAD'].map(r => ({ name: r, hash: Refs.hash(r) })))
+      .concat(fetched.map(h => ({ name: 'FETCH_HEAD', hash: h })))
+      .concat(logged)
+      .filter(r => r.hash !== undefined);
+  },
+
+  // **rootCommits()** returns the hashes of the commits pointed at by
+  // the roots, directly or through tag objects.
+  rootCommits() {
+    return Util.unique(Gc.roots().map(r => r.hash).filter(Objects.exists).map(Objects.peel)
+      .filter(h => Objects.typeOf(h) === 'commit'));
+  },
+
+  // **reachable()** returns a JS object that has a key for the hash of
+  // each reachable object.
+  reachable() {
+    // Every object is missing from a repository that has nothing, so
+    // `Objects.missing()` returns everything the commits point at.
+    // Roots that are not commits, like tag objects, are walked, too.
+    const commits = Log.reachable(Gc.rootCommits());
+    const others = Gc.roots().map(r => r.hash)
+      .filter(h => Objects.exists(h) && Objects.typeOf(h) !== 'commit');
+    const idx = Index.read();
+    return Objects.missing(commits.concat(others), () => false)
+      .concat(Object.keys(idx).map(k => idx[k]))
+      .reduce((o, h) => Util.setIn(o, [h, true]), {});
+  },
+
+  // **unreachable()** returns the hashes of all the objects in the
+  // database that are not reachable.
+  unreachable() {
+    const reachable = Gc.reachable();
+    return Objects.allHashes().filter(h => !reachable[h]);
+  },
+
+  // **expiryTime()** turns `expire`, a date like `now`, `never`,
+  // `2.weeks.ago` or `2018-01-31`, into a time in milliseconds.
+  // Unreachable objects last modified before that time can be
+  // removed.
+  expiryTime(expire) {
+    const relative = expire.match(/^(\d+)\.(second|minute|hour|day|week)s?\.ago$/);
+    if (expire === 'now') {
+      return Date.now();
+    } if (expire === 'never') {
+      return -Infinity;
+    } if (relative) {
+      return Date.now() - parseInt(relative[1], 10) * UNITS[relative[2]];
+    } if (!Number.isNaN(Date.parse(expire))) {
+      return Date.parse(expire);
+    }
+    throw new Error(`malformed expiration date '${expire}'`);
+  },
+
+  // **expired()** returns the hashes in `unreachable` of the objects
+  // that were last modified before the expiry date `expire`.  If
+  // `expire` is not passed, the `gc.pruneExpire` config setting is
+  // used, or two weeks ago, which gives time for any command that is
+  // still writing objects to finish and point a ref at them.
+  expired(unreachable, expire) {
+    const time = Gc.expiryTime(String(expire || Config.get('gc.pruneExpire') || '2.weeks.ago'));
+    return unreachable.filter(h => Objects.mtime(h) < time);
+  },
+};
+
+module.exports = Gc;
@@ -9,16 +9,30 @@ const Util = require('./util');
 const Merge = require('./merge');
 const WorkingCopy = require('./workingCopy');
 const Index = require('./index');
+const Log = require('./log');
+const Pack = require('./pack');
+const Gc = require('./gc');
+const Ignore = require('./ignore');
+const Rev = require('./rev');
+const Rebase = require('./rebase');
 // Main Git API functions
 // ----------------------
 
 const Gitlet = {
 
   // **init()** initializes the current directory as a new repository.
+  // Objects are named with SHA-1 hashes, unless `--object-format
+  // sha256` is passed.
   init(opts = {}) {
     // Abort if already a repository.
     if (Files.inRepo()) { return; }
 
+    // Abort if the object format is not supported.
+    const objectFormat = opts['object-format'] || 'sha1';
+    if (['sha1', 'sha256'].indexOf(objectFormat) === -1) {
+      throw new Error(`unknown hash algorithm ${objectFormat}`);
+    }
+
     // Create a JS object that mirrors the Git basic directory
     // structure.
     const GitletStructure = {
@@ -27,11 +41,18 @@ const Gitlet = {
       // If `--bare` was passed, write to the Git config indicating
       // that the repository is bare.  If `--bare` was not passed,
       // write to the Git config saying the repository is not bare.
-      config: Config.objToStr({ core: { '': { bare: opts.bare === true } } }),
+      // If objects are named with SHA-256 hashes, record that, too.
+      config: Config.objToStr(Object.assign({ core: { '': { bare: opts.bare === true } } },
+        objectFormat === 'sha1' ? {} : { extensions: { '': { objectFormat } } })),
+
+      // Patterns of files to ignore that are not committed go in
+      // `info/exclude`.
+      info: { exclude: '' },
 
       objects: {},
       refs: {
         heads: {},
+        tags: {},
       },
     };
 
@@ -44,22 +65,38 @@ const Gitlet = {
       process.cwd());
   },
 
-  // **add()** adds files that match `path` to the Index.
-  add(path, _) {
+  // **add()** adds files that match `path` to the Index.  Files that
+  // are ignored (see the ignore module) are left out, unless `-f` is
+  // passed.
+  add(path, opts) {
     Files.assertInRepo();
     Config.assertNotBare();
+    const { f: force } = opts || {};
+
+    // Abort if `path` is ignored and `-f` was not passed.
+    const pathFromRoot = Files.pathFromRepoRoot(path).split(nodePath.sep).join('/');
+    if (!force && Files.lexists(path)
+        && Ignore.isIgnored(pathFromRoot, fs.lstatSync(path).isDirectory())) {
+      throw new Error(`${pathFromRoot} is ignored - use -f to add it anyway`);
+    }
 
     // Get the paths of all the files matching `path`.
-    const addedFiles = Files.lsRecursive(path);
+    const addedFiles = Ignore.lsRecursive(path, force);
 
     // Abort if no files matched `path`.
     if (addedFiles.length === 0) {
       throw new Error(`${Files.pathFromRepoRoot(path)} did not match any files`);
 
-    // Otherwise, use the `update_index()` Git command to actually add
-    // the Files.
+    // Otherwise, add the current content of the files to the index,
+    // like `update_index()` does, but writing the index only once.
+    // The stat data of each file is taken before it is read, so a
+    // change made while it is read will show up as a change to the
+    // stat.
     } else {
-      addedFiles.forEach((p) => { Gitlet.update_index(p, { add: true }); });
+      Index.writeChanges(addedFiles.map((p) => {
+        const stat = Index.statData(fs.lstatSync(Files.workingCopyPath(p)));
+        return { path: p, content: Files.readBlob(Files.workingCopyPath(p)), stat };
+      }));
     }
   },
 
@@ -91,17 +128,22 @@ const Gitlet = {
         throw new Error(`these files have changes:\n${changesToRm.join('\n')}\n`);
 
       // Otherwise, remove the files that match `path`. Delete them
-      // from disk and remove from the Index.
+      // from disk and remove them from the Index, like
+      // `update_index()` does, but writing the index only once.
+      // Files in conflict are left in the Index.
       } else {
-        filesToRm.map(Files.workingCopyPath).filter(fs.existsSync).forEach(fs.unlinkSync);
-        filesToRm.forEach((p) => { Gitlet.update_index(p, { remove: true }); });
+        const idx = Index.read();
+        filesToRm.map(Files.workingCopyPath).filter(Files.lexists).forEach(fs.unlinkSync);
+        Index.writeChanges(filesToRm.filter(p => idx[Index.key(p, 0)] !== undefined)
+          .map(p => ({ path: p })));
       }
     }
   },
 
   // **commit()** creates a commit object that represents the current
   // state of the index, writes the commit to the `objects` directory
-  // and points `HEAD` at the commit.
+  // and points `HEAD` at the commit.  It also finishes a merge, or a
+  // cherry-pick or revert that stopped with conflicts.
   commit(opts) {
     Files.assertInRepo();
     Config.assertNotBare();
@@ -113,30 +155,47 @@ const Gitlet = {
     // Compare the hash of the tree object at the top of the tree that
     // was just written with the hash of the tree object that the
     // `HEAD` commit points at.  If they are the same, abort because
-    // there is nothing new to commit.
-    if (Refs.hash('HEAD') !== undefined
+    // there is nothing new to commit.  A merge may keep the content
+    // as it is, so it is committed anyway.  A cherry-pick or revert
+    // that would make an empty commit is dropped.
+    const pickHead = Merge.pickHead();
+    if (Refs.hash('HEAD') !== undefined && !Merge.isMergeInProgress()
         && treeHash === Objects.treeHash(Objects.read(Refs.hash('HEAD')))) {
+      if (pickHead !== undefined) {
+        Merge.clearPick();
+      }
       throw new Error(`# On  ${headDesc} \n nothing to commit, working directory clean`);
     } else {
-      // Abort if the repository is in the merge state and there are
-      // unresolved merge conflicts.
+      // Abort if there are unresolved merge conflicts.
       const conflictedPaths = Index.conflictedPaths();
-      if (Merge.isMergeInProgress() && conflictedPaths.length > 0) {
+      if (conflictedPaths.length > 0) {
         throw new Error(`${conflictedPaths.map(p => `U  ${p}`).join('\n')
         }\ncannot commit because you have unmerged files\n`);
 
       // Otherwise, do the commit.
       } else {
-        // If the repository is in the merge state, use a pre-written
-        // merge commit message.  If the repository is not in the
-        // merge state, use the message passed with `-m`.
-        const m = Merge.isMergeInProgress() ? Files.read(Files.gitletPath('MERGE_MSG')) : opts.m;
-
-        // Write the new commit to the `objects` directory.
-        const commitHash = Objects.writeCommit(treeHash, m, Refs.commitParentHashes());
-
-        // Point `HEAD` at new commit.
-        Gitlet.update_ref('HEAD', commitHash);
+        // If the repository is in the merge state, or in the middle
+        // of a cherry-pick or revert, use a pre-written commit
+        // message.  Otherwise, use the message passed with `-m`.
+        const m = Merge.isMergeInProgress() || pickHead !== undefined
+          ? Files.read(Files.gitletPath('MERGE_MSG')) : opts.m;
+
+        // Write the new commit to the `objects` directory.  A
+        // cherry-picked commit keeps the author of the original.
+        const parentHashes = Refs.commitParentHashes();
+        const commitHash = Objects.writeCommit(treeHash, m, parentHashes,
+          pickHead === 'CHERRY_PICK_HEAD' ? Objects.commitAuthor(Objects.read(Refs.hash(pickHead)))
+            : undefined);
+
+        // Point `HEAD` at new commit.  Record in the log whether it
+        // is the first commit, a merge commit, a cherry-pick or a
+        // revert.
+        const kind = { CHERRY_PICK_HEAD: 'cherry-pick', REVERT_HEAD: 'revert' }[pickHead]
+          || ['commit (initial)', 'commit', 'commit (merge)'][parentHashes.length];
+        Gitlet.update_ref('HEAD', commitHash, { m: `${kind}: ${m}` });
+        if (pickHead !== undefined) {
+          Merge.clearPick();
+        }
 
         // If `MERGE_HEAD` exists, the repository was in the merge
         // state. Remove `MERGE_HEAD` and `MERGE_MSG`to exit the merge
@@ -155,42 +214,120 @@ const Gitlet = {
   },
 
   // **branch()** creates a new branch that points at the commit that
-  // `HEAD` points at.
-  branch(name, opts = {}) {
+  // `ref` points at, or that `HEAD` points at if `ref` is not passed.
+  branch(name, ref, _) {
     Files.assertInRepo();
     // If no branch `name` was passed, list the local branches.
     if (!name) {
-      return `${Object.keys(Refs.localHeads()).map(branch => (branch === Refs.headBranchName() ? '* ' : '  ') + branch)
+      return `${Object.keys(Refs.localHeads()).sort().map(branch => (branch === Refs.headBranchName() ? '* ' : '  ') + branch)
         .join('\n')}\n`;
 
     // `HEAD` is not pointing at a commit, so there is no commit for
     // the new branch to point at.  Abort.  This is most likely to
     // happen if the repository has no commits.
     }
-    if (Refs.hash('HEAD') === undefined) {
+    const hash = Rev.hash(ref || 'HEAD');
+    if (ref === undefined && hash === undefined) {
       throw new Error(`${Refs.headBranchName()} not a valid object name`);
 
+    // Abort if `ref` does not point at a commit.
+    } else if (hash === undefined || Objects.typeOf(hash) !== 'commit') {
+      throw new Error(`not a valid object name: '${ref}'`);
+
+    // Abort if `name` cannot be the name of a branch.
+    } else if (!Refs.isValidBranchName(name)) {
+      throw new Error(`'${name}' is not a valid branch name`);
+
     // Abort because a branch called `name` already exists.
     } else if (Refs.exists(Refs.toLocalRef(name))) {
       throw new Error(`A branch named ${name} already exists`);
 
     // Otherwise, create a new branch by creating a new file called
-    // `name` that contains the hash of the commit that `HEAD` points
-    // at.
+    // `name` that contains the hash of the commit.
     } else {
-      Gitlet.update_ref(Refs.toLocalRef(name), Refs.hash('HEAD'));
+      Gitlet.update_ref(Refs.toLocalRef(name), hash, { m: `branch: Created from ${ref || 'HEAD'}` });
     }
   },
 
+  // **tag()** creates a tag called `name` that points at the commit
+  // that `ref` points at, or that `HEAD` points at if `ref` is not
+  // passed.  If `-m <message>` or `-a` is passed, the tag is
+  // annotated: it points at a new tag object that records the tagger
+  // and the message.  Otherwise, it is lightweight: it points straight
+  // at the commit.  `-f` replaces a tag that already exists.  `-d
+  // <name>` deletes a tag.  If no `name` is passed, or `-l` is
+  // passed, the tags are listed.
+  tag(name, ref, opts) {
+    Files.assertInRepo();
+    const {
+      a: annotate, d: del, f: force, l: list, m: message,
+    } = opts || {};
+    const [tagName, target = 'HEAD'] = [annotate, del, force, name, ref].filter(Util.isString);
+    const tagRef = Refs.toTagRef(tagName);
+
+    // If no `name` was passed, list the tags.
+    if (tagName === undefined || list) {
+      return `${Object.keys(Refs.tags()).sort().join('\n')}\n`;
+
+    // If `-d` was passed, delete the tag, if it exists.
+    } if (del) {
+      if (!Refs.exists(tagRef)) {
+        throw new Error(`tag '${tagName}' not found.`);
+      }
+      const was = Refs.target(tagRef);
+      Refs.rm(tagRef);
+      return `Deleted tag '${tagName}' (was ${Log.abbrev(was)})`;
+    }
+
+    // Get the hash of the object to tag.
+    const hash = Rev.hash(target);
+
+    // Abort if `name` cannot be used in a ref, or would be mistaken
+    // for `HEAD` or an option.
+    if (!Refs.isRef(tagRef) || tagName === 'HEAD' || tagName.startsWith('-')) {
+      throw new Error(`'${tagName}' is not a valid tag name.`);
+
+    // Abort if `ref` does not point at an object.
+    } else if (hash === undefined) {
+      throw new Error(`Failed to resolve '${target}' as a valid ref.`);
+
+    // Abort if a tag called `name` already exists and `-f` was not
+    // passed.
+    } else if (Refs.exists(tagRef) && !force) {
+      throw new Error(`tag '${tagName}' already exists`);
+
+    // Abort if the tag is annotated, but has no message.
+    } else if ((annotate || message !== undefined) && !Util.isString(message)) {
+      throw new Error('no tag message - use -m <message>');
+    }
+
+    // Otherwise, point the tag at the commit, or at a new tag object
+    // for an annotated tag.
+    const was = Refs.target(tagRef);
+    Gitlet.update_ref(tagRef,
+      message === undefined ? hash : Objects.writeTag(hash, tagName, message));
+
+    // Report the tag that was replaced, if there was one.
+    return was !== undefined && was !== Refs.target(tagRef)
+      ? `Updated tag '${tagName}' (was ${Log.abbrev(was)})`
+      : undefined;
+  },
+
   // **checkout()** changes the index, working copy and `HEAD` to
-  // reflect the content of `ref`.  `ref` might be a branch name or a
-  // commit hash.
+  // reflect the content of `ref`.  `ref` might be a branch name, or
+  // any other revision (see the rev module), which detaches the head.
+  // `@{-N}` checks out the branch that was checked out `N` checkouts
+  // ago.
   checkout(ref) {
     Files.assertInRepo();
     Config.assertNotBare();
 
+    // Turn `@{-N}` into the name of the branch it means.
+    const previous = ref === undefined ? null : ref.match(/^@\{-(\d+)\}$/);
+    const name = previous === null ? ref : Rev.previousBranch(parseInt(previous[1], 10));
+
     // Get the hash of the commit to check out.
-    const toHash = Refs.hash(ref);
+    const toHash = Rev.hash(name);
 
     // Abort if `ref` cannot be found.
     if (!Objects.exists(toHash)) {
@@ -199,15 +336,15 @@ const Gitlet = {
 
     // Abort if the hash to check out points to an object that is a
     // not a commit.
-    if (Objects.type(Objects.read(toHash)) !== 'commit') {
+    if (Objects.typeOf(toHash) !== 'commit') {
       throw new Error(`reference is not a tree: ${ref}`);
     }
 
     // Abort if `ref` is the name of the branch currently checked out.
     // Abort if head is detached, `ref` is a commit hash and `HEAD` is
     // pointing at that hash.
-    if (ref === Refs.headBranchName() || ref === Files.read(Files.gitletPath('HEAD'))) {
-      return `Already on ${ref}`;
+    if (name === Refs.headBranchName() || name === Files.read(Files.gitletPath('HEAD'))) {
+      return `Already on ${name}`;
     }
 
     // Get a list of files changed in the working copy.  Get a list
@@ -222,63 +359,429 @@ const Gitlet = {
     // Otherwise, perform the checkout.
     process.chdir(Files.workingCopyPath());
 
-    // If the ref is in the `objects` directory, it must be a hash
-    // and so this checkout is detaching the head.
-    const isDetachingHead = Objects.exists(ref);
+    // If `name` is not the name of a local branch, this checkout is
+    // detaching the head.
+    const isDetachingHead = !Refs.exists(Refs.toLocalRef(name));
 
     // Get the list of differences between the current commit and
     // the commit to check out.  Write them to the working copy.
-    WorkingCopy.write(Diff.diff(Refs.hash('HEAD'), toHash));
+    const fromHash = Refs.hash('HEAD');
+    const fromName = Refs.headBranchName() || fromHash;
+    WorkingCopy.write(Diff.diff(fromHash, toHash));
 
     // Write the commit being checked out to `HEAD`. If the head
     // is being detached, the commit hash is written directly to
     // the `HEAD` file.  If the head is not being detached, the
     // branch being checked out is written to `HEAD`.
-    Refs.write('HEAD', isDetachingHead ? toHash : `ref: ${Refs.toLocalRef(ref)}`);
+    Refs.write('HEAD', isDetachingHead ? toHash : `ref: ${Refs.toLocalRef(name)}`,
+      `checkout: moving from ${fromName} to ${name}`);
 
     // Set the index to the contents of the commit being checked
     // out.
-    Index.write(Index.tocToIndex(Objects.commitToc(toHash)));
+    Index.write(Index.tocToIndex(Objects.commitToc(toHash)), Objects.commitModes(toHash));
 
     // Report the result of the checkout.
     return isDetachingHead
       ? `Note: checking out ${toHash}\nYou are in detached HEAD state.`
-      : `Switched to branch ${ref}`;
+      : `Switched to branch ${name}`;
+  },
+
+  // **reset()** moves the current branch, or `HEAD` if it is
+  // detached, to the commit `rev`, which defaults to `HEAD`.
+  // `--soft` only moves the branch.  `--mixed`, the default, also
+  // makes the index match the commit, so the changes since the commit
+  // are no longer staged.  `--hard` also makes the working copy match
+  // the commit, so the changes are thrown away.  A reset during a
+  // merge, cherry-pick or revert ends it.  The commit the branch was
+  // on is recorded in `ORIG_HEAD`.  If paths are passed after `--`,
+  // the branch is not moved.  Instead, the index entries for the
+  // files at those paths are set to their versions in the commit.
+  reset(rev, opts) {
+    Files.assertInRepo();
+    const {
+      soft, mixed, hard, '--': paths,
+    } = opts || {};
+    const name = [rev, soft, mixed, hard].filter(Util.isString)[0] || 'HEAD';
+    const hash = Rev.hash(name);
+
+    // **unstaged()** reports the files whose changes in the working
+    // copy are not staged.
+    function unstaged() {
+      const nameToStatus = Diff.nameStatus(Diff.diff());
+      const changed = Object.keys(nameToStatus).map(p => `${nameToStatus[p]}\t${p}`);
+      return changed.length > 0 ? ['Unstaged changes after reset:'].concat(changed).join('\n')
+        : undefined;
+    }
+
+    // Abort if `name` does not point at a commit.
+    if (hash === undefined || Objects.typeOf(hash) !== 'commit') {
+      throw new Error(`Failed to resolve '${name}' as a valid ref.`);
+
+    // Abort if more than one mode was passed.
+    } else if ([soft, mixed, hard].filter(m => m).length > 1) {
+      throw new Error('--soft, --mixed and --hard cannot be used together');
+
+    // Abort if paths were passed with `--soft` or `--hard`.
+    } else if (paths !== undefined && (soft || hard)) {
+      throw new Error(`Cannot do ${soft ? 'soft' : 'hard'} reset with paths.`);
+
+    // Abort if a soft reset would leave a merge half done.
+    } else if (soft && Merge.isMergeInProgress()) {
+      throw new Error('Cannot do a soft reset in the middle of a merge.');
+    } else if (!soft) {
+      Config.assertNotBare();
+    }
+
+    // If paths were passed, set the index entries of the files at the
+    // paths to their versions in the commit.  Entries for files that
+    // are not in the commit are removed.
+    if (paths !== undefined) {
+      const fromRoot = paths.map(p => Files.pathFromRepoRoot(p).split(nodePath.sep).join('/'));
+      const isInPaths = p => fromRoot.some(r => r === '' || p === r || p.startsWith(`${r}/`));
+      const idx = Index.read();
+      const toc = Objects.commitToc(hash);
+      const modes = Objects.commitModes(hash);
+      const kept = Object.keys(idx).filter(k => !isInPaths(Index.keyPieces(k).path))
+        .reduce((o, k) => Util.setIn(o, [k, idx[k]]), {});
+      const restored = Object.keys(toc).filter(isInPaths);
+      Index.write(restored.reduce((o, p) => Util.setIn(o, [Index.key(p, 0), toc[p]]), kept),
+        restored.reduce((o, p) => Util.setIn(o, [p, modes[p]]), {}));
+      return unstaged();
+    }
+
+    // Get the changes that turn the working copy into the commit,
+    // before the index is changed.
+    const dif = hard ? Diff.addModes(Diff.tocDiff(Index.workingCopyToc(), Objects.commitToc(hash)),
+      Index.workingCopyModes(), Objects.commitModes(hash)) : undefined;
+
+    // Record where the branch was, then move it.
+    if (Refs.hash('HEAD') !== undefined) {
+      Refs.write('ORIG_HEAD', Refs.hash('HEAD'));
+    }
+    Gitlet.update_ref('HEAD', hash, { m: `reset: moving to ${name}` });
+
+    // End the merge, cherry-pick or revert, if there is one.
+    if (Merge.isMergeInProgress()) {
+      fs.unlinkSync(Files.gitletPath('MERGE_MSG'));
+      Refs.rm('MERGE_HEAD');
+    } else if (Merge.pickHead() !== undefined) {
+      Merge.clearPick();
+    }
+
+    // Unless `--soft` was passed, make the index match the commit.
+    if (!soft) {
+      Index.write(Index.tocToIndex(Objects.commitToc(hash)), Objects.commitModes(hash));
+    }
+
+    // If `--hard` was passed, make the working copy match the commit,
+    // too.
+    if (hard) {
+      WorkingCopy.write(dif);
+      return `HEAD is now at ${Log.format(hash, true)[0]}`;
+    } if (!soft) {
+      return unstaged();
+    }
+    return undefined;
+  },
+
+  // **stash()** shelves the changes in the index and working copy, so
+  // that the working copy matches `HEAD` again, and brings them back
+  // later.  A stash is a commit of the working copy whose parents are
+  // the `HEAD` commit and a commit of the index.  The stashes are
+  // kept in a stack in the log of `refs/stash`: `stash@{0}` is the
+  // newest, `stash@{1}` the one before it, and so on.  Commands:
+  // - `push`, the default, stashes the changes to the files in the
+  //   index.  `-m` gives the stash a message.
+  // - `list` lists the stashes.
+  // - `show [<stash>]` shows the changes in a stash.  `-p` shows them
+  //   as a patch.
+  // - `apply [<stash>]` merges the changes in a stash into the working
+  //   copy.  If `HEAD` has moved since the stash was made, the changes
+  //   are merged three ways, with the commit the stash was made on as
+  //   the base.  `--index` restores the staged changes, too.
+  // - `pop [<stash>]` applies a stash, then drops it, unless there
+  //   were conflicts.
+  // - `drop [<stash>]` removes a stash from the stack.
+  // `<stash>` defaults to `stash@{0}`.  `N` is short for `stash@{N}`.
+  stash(command, stash, opts) {
+    Files.assertInRepo();
+    Config.assertNotBare();
+    const { m: message, p: patch, index: restoreIndex } = opts || {};
+    const name = stash === undefined || stash.match(/^\d+$/) ? `stash@{${stash || 0}}` : stash;
+    const hash = Rev.hash(name);
+    const headHash = Refs.hash('HEAD');
+    const branch = Refs.isHeadDetached() ? '(no branch)' : Refs.headBranchName();
+
+    // **assertIsStash()** aborts if `name` does not point at a stash.
+    function assertIsStash() {
+      if (hash === undefined || Objects.typeOf(hash) !== 'commit'
+          || Objects.parentHashes(Objects.read(hash)).length !== 2) {
+        throw new Error(`'${name}' is not a stash-like commit`);
+      }
+    }
+
+    // **position()** returns `N` for `stash@{N}`.  It aborts if the
+    // stash is not in the stack.
+    function position() {
+      const n = name.match(/^(?:stash|refs\/stash)@\{(\d+)\}$/);
+      if (n === null || Refs.readLog('refs/stash')[parseInt(n[1], 10)] === undefined) {
+        throw new Error(`${name} is not a valid reference`);
+      }
+      return parseInt(n[1], 10);
+    }
+
+    // Stash the changes, if `push` was passed, or no command at all.
+    if (command === undefined || command === 'push') {
+      if (headHash === undefined) {
+        throw new Error('you do not have the initial commit yet');
+      } if (Index.conflictedPaths().length > 0) {
+        throw new Error(`${Index.conflictedPaths().map(p => `${p}: needs merge`).join('\n')}`);
+      }
+
+      // Write trees for the index and for the versions in the working
+      // copy of the files in the index.
+      const wcToc = Object.keys(Index.toc())
+        .filter(p => Files.lexists(Files.workingCopyPath(p)))
+        .reduce((o, p) => Util.setIn(o,
+          [p, Objects.write(Files.readBlob(Files.workingCopyPath(p)))]), {});
+      const indexTree = Objects.writeTree(Files.nestFlatTree(Index.toc()), Index.modes());
+      const wcTree = Objects.writeTree(Files.nestFlatTree(wcToc), Index.workingCopyModes());
+      const headTree = Objects.treeHash(Objects.read(headHash));
+      if (indexTree === headTree && wcTree === headTree) {
+        return 'No local changes to save';
+      }
+
+      // Commit the trees, push the stash and make the working copy
+      // match `HEAD`.
+      const summary = Log.format(headHash, true)[0];
+      const stashMessage = message === undefined ? `WIP on ${branch}: ${summary}`
+        : `On ${branch}: ${message}`;
+      const indexHash = Objects.writeCommit(indexTree, `index on ${branch}: ${summary}`, [headHash]);
+      const stashHash = Objects.writeCommit(wcTree, stashMessage, [headHash, indexHash]);
+      Refs.write('refs/stash', stashHash, stashMessage);
+      Gitlet.reset('HEAD', { hard: true });
+      return `Saved working directory and index state ${stashMessage}`;
+
+    // List the stashes, newest first.
+    } if (command === 'list') {
+      return Refs.readLog('refs/stash').reverse()
+        .map((e, i) => `stash@{${i}}: ${e.message}\n`).join('');
+
+    // Show the changes in the stash since the commit it was made on.
+    } if (command === 'show') {
+      assertIsStash();
+      const dif = Diff.diff(Objects.parentHashes(Objects.read(hash))[0], hash);
+      return `${patch ? Diff.patch(dif, 3) : Diff.stat(dif)}\n`;
+
+    // Remove the stash from the stack.
+    } if (command === 'drop') {
+      assertIsStash();
+      Refs.rmLogEntry('refs/stash', position());
+      return `Dropped ${name} (${hash})`;
+
+    // Abort if the command is unknown.
+    } if (command !== 'apply' && command !== 'pop') {
+      throw new Error(`unknown stash command ${command}`);
+    }
+
+    // Otherwise, apply the stash.  Abort if the repository is in the
+    // middle of a merge.
+    assertIsStash();
+    const n = command === 'pop' ? position() : undefined;
+    if (Merge.isMergeInProgress() || Index.conflictedPaths().length > 0) {
+      throw new Error('cannot apply a stash in the middle of a merge');
+    }
+
+    // Merge the stashed working copy into `HEAD`, using the commit the
+    // stash was made on as the base.  If `--index` was passed, merge
+    // the stashed index, too.
+    const [baseHash, indexHash] = Objects.parentHashes(Objects.read(hash));
+    const dif = Merge.mergeDiff(headHash, hash, baseHash);
+    const indexDif = restoreIndex ? Merge.mergeDiff(headHash, indexHash, baseHash) : {};
+    const changed = Object.keys(Diff.nameStatus(dif));
+    if (Object.keys(indexDif).filter(p => indexDif[p].status === Diff.FILE_STATUS.CONFLICT)
+      .length > 0) {
+      throw new Error('conflicts in index, try without --index');
+    }
+
+    // Abort if the stash changes files that have changes in the
+    // working copy, or would overwrite untracked files.
+    const lost = Util.unique(Util
+      .intersection(Object.keys(Diff.nameStatus(Diff.diff(headHash))), changed)
+      .concat(changed.filter(p => dif[p].receiver === undefined
+        && Files.lexists(Files.workingCopyPath(p)))));
+    if (lost.length > 0) {
+      throw new Error(`local changes would be lost\n${lost.join('\n')}\n`);
+    }
+
+    // Write the changes to the working copy.  Stage conflicts, new
+    // files and deletions and, if `--index` was passed, the staged
+    // changes.
+    WorkingCopy.write(dif, 'Stashed changes');
+    const toStage = Object.keys(Diff.nameStatus(indexDif))
+      .reduce((o, p) => Util.setIn(o, [p, indexDif[p]]), changed
+        .filter(p => dif[p].status === Diff.FILE_STATUS.CONFLICT
+          || dif[p].receiver === undefined || dif[p].giver === undefined)
+        .reduce((o, p) => Util.setIn(o, [p, dif[p]]), {}));
+    Index.writeChanges(Object.keys(toStage).map((p) => {
+      const d = toStage[p];
+      if (d.status === Diff.FILE_STATUS.CONFLICT) {
+        return {
+          path: p,
+          receiverContent: Objects.readBuffer(d.receiver),
+          giverContent: Objects.readBuffer(d.giver),
+          baseContent: Objects.readBuffer(d.base),
+        };
+      }
+      return d.giver !== undefined
+        ? { path: p, content: Objects.readBuffer(d.giver) }
+        : { path: p };
+    }));
+    Index.write(Index.read(), Object.keys(toStage).filter(p => toStage[p].giverMode !== undefined)
+      .reduce((o, p) => Util.setIn(o, [p, toStage[p].giverMode]), {}));
+
+    // If there were conflicts, keep the stash.  Otherwise, if `pop`
+    // was passed, drop it.
+    const conflicts = changed.filter(p => dif[p].status === Diff.FILE_STATUS.CONFLICT);
+    if (conflicts.length > 0) {
+      return `${conflicts.map(p => `CONFLICT (content): Merge conflict in ${p}`)
+        .concat(command === 'pop' ? ['The stash entry is kept in case you need it again.'] : [])
+        .join('\n')}`;
+    } if (command === 'pop') {
+      Refs.rmLogEntry('refs/stash', n);
+      return `Dropped ${name} (${hash})`;
+    }
+    return undefined;
   },
 
   // **diff()** shows the changes required to go from the `ref1`
-  // commit to the `ref2` commit.
+  // commit to the `ref2` commit.  By default, it shows the changed
+  // lines of each file as a unified diff with three lines of context.
+  // `-U <count>` sets the number of lines of context.
+  // `--name-status` only shows the name and status of each changed
+  // file.  `--stat` shows the number of lines changed in each file.
   diff(ref1, ref2, opts) {
     Files.assertInRepo();
     Config.assertNotBare();
 
+    // If `ref1` is a range, `A..B` diffs `A` and `B`, and `A...B`
+    // diffs the merge base of `A` and `B` with `B`.
+    const range = ref1 !== undefined && ref1.indexOf('..') !== -1 ? Rev.range(ref1) : undefined;
+    const hash1 = range === undefined ? Rev.hash(ref1) : range.exclude[0];
+    const hash2 = range === undefined ? Rev.hash(ref2) : range.include[0];
+
     // Abort if `ref1` was supplied, but it does not resolve to a
     // hash.
-    if (ref1 !== undefined && Refs.hash(ref1) === undefined) {
+    if (ref1 !== undefined && hash1 === undefined) {
       throw new Error(`ambiguous argument ${ref1}: unknown revision`);
 
     // Abort if `ref2` was supplied, but it does not resolve to a
     // hash.
-    } else if (ref2 !== undefined && Refs.hash(ref2) === undefined) {
+    } else if (ref2 !== undefined && range === undefined && hash2 === undefined) {
       throw new Error(`ambiguous argument ${ref2}: unknown revision`);
 
     // Otherwise, perform Diff.
     } else {
-      // Gitlet only shows the name of each changed file and whether
-      // it was added, modified or deleted.  For simplicity, the
-      // changed content is not shown.
+      const { U: context = 3, stat, 'name-status': nameStatusOnly } = opts || {};
 
       // The diff happens between two versions of the repository.  The
       // first version is either the hash that `ref1` resolves to, or
       // the Index.  The second version is either the hash that `ref2`
       // resolves to, or the working copy.
-      const nameToStatus = Diff.nameStatus(Diff.diff(Refs.hash(ref1), Refs.hash(ref2)));
+      const dif = Diff.diff(hash1, hash2);
+
+      // If `--name-status` was passed, show the path of each changed
+      // file and whether it was added, modified or deleted.
+      if (nameStatusOnly) {
+        const nameToStatus = Diff.nameStatus(dif);
+        return `${Object.keys(nameToStatus)
+          .map(path => `${nameToStatus[path]} ${path}`)
+          .join('\n')}\n`;
+
+      // If `--stat` was passed, show the number of lines inserted and
+      // deleted in each changed file.
+      } if (stat) {
+        return `${Diff.stat(dif)}\n`;
+      }
 
-      // Show the path of each changed file.
-      return `${Object.keys(nameToStatus)
-        .map(path => `${nameToStatus[path]} ${path}`)
-        .join('\n')}\n`;
+      // Otherwise, show the changed lines of each file.
+      return `${Diff.patch(dif, parseInt(context, 10))}\n`;
+    }
+  },
+
+  // **log()** lists the commits reachable from `ref`, newest first.
+  // `ref` defaults to `HEAD`.  It can also be a range like `A..B`,
+  // which lists the commits reachable from `B` that are not reachable
+  // from `A`, or `A...B` (see the rev module).  `--oneline` shows one
+  // line per commit, `-n <count>` limits the number of commits shown
+  // and `--graph` draws the commit graph beside the commits.
+  log(ref, opts) {
+    Files.assertInRepo();
+    const { oneline, graph, n } = opts || {};
+    const refs = [oneline, graph, ref].filter(Util.isString);
+    const name = refs[0];
+
+    // Abort if more than one revision was passed, or the value after
+    // `-n` is not a count.
+    if (refs.length > 1 || (n !== undefined && !/^[0-9]+$/.test(n))) {
+      throw new Error('usage: log [--oneline] [--graph] [-n <count>] [<revision range>]');
+
+    // Abort if `ref` was not passed and `HEAD` has no commits.
+    } else if (name === undefined && Refs.hash('HEAD') === undefined) {
+      throw new Error(`your current branch ${Refs.headBranchName()} does not have any commits yet`);
+    }
+
+    // Parse `ref` into the commits to start from and the commits
+    // whose history is excluded.  Abort if any part of it does not
+    // resolve to a commit.
+    const range = Rev.range(name || 'HEAD');
+    if (range === undefined || range.include.concat(range.exclude)
+      .filter(h => Objects.typeOf(h) !== 'commit').length > 0) {
+      throw new Error(`ambiguous argument ${name}: unknown revision`);
+    }
+
+    // List the commits and keep the first `n`, if `-n` was passed.
+    const hashes = Log.revList(range.include, range.exclude)
+      .slice(0, n === undefined ? undefined : parseInt(n, 10));
+
+    const linesFn = hash => Log.format(hash, oneline);
+    const lines = graph ? Log.graph(hashes, linesFn) : Util.flatten(hashes.map(linesFn));
+    return lines.length > 0 ? `${lines.join('\n').replace(/\n+$/, '')}\n` : '';
+  },
+
+  // **reflog()** lists the moves of `ref` recorded in its log (see
+  // `Refs.writeLog()`), newest first, like `hash(1) HEAD@{0}: commit:
+  // first`.  `ref` defaults to `HEAD`.  Any entry can be used as a
+  // revision, like `HEAD@{1}`, to get back to a commit that a ref was
+  // moved away from.  `reflog expire` removes the entries written
+  // before the `--expire` date (see `Gc.expiryTime()`), or 90 days
+  // ago, from the log of `ref`, or from every log if `--all` is
+  // passed.
+  reflog(command, ref, opts) {
+    Files.assertInRepo();
+    const { expire = '90.days.ago', all } = opts || {};
+
+    // `reflog <ref>` is short for `reflog show <ref>`.
+    if (command !== undefined && command !== 'show' && command !== 'expire') {
+      return Gitlet.reflog('show', command, opts);
+
+    // Remove the old entries from the logs.
+    } if (command === 'expire') {
+      const time = Gc.expiryTime(String(expire));
+      const refs = all ? Refs.loggedRefs() : [Rev.logRef(ref || 'HEAD')];
+      const count = refs.reduce((n, r) => n + Refs.expireLog(r, time), 0);
+      return `Removed ${count} reflog entries`;
+    }
+
+    // Abort if `ref` has no log.
+    const name = ref || 'HEAD';
+    const entries = Refs.readLog(Rev.logRef(name)).reverse();
+    if (entries.length === 0 && !Refs.exists(Rev.logRef(name))) {
+      throw new Error(`ambiguous argument '${name}': unknown revision or path not in the working tree.`);
     }
+
+    return entries.map((e, i) => `${Log.abbrev(e.newHash)} ${name}@{${i}}: ${e.message}\n`)
+      .join('');
   },
 
   // **remote()** records the locations of remote versions of this
@@ -316,6 +819,11 @@ const Gitlet = {
     // Abort if `remote` not recorded in config file.
     } else if (!(remote in Config.read().remote)) {
       throw new Error(`${remote} does not appear to be a git repository`);
+
+    // Abort if `remote` names objects with a different hash.
+    } else if (Util.onRemote(Config.read().remote[remote].url)(Objects.hashAlgorithm)
+               !== Objects.hashAlgorithm()) {
+      throw new Error(`${remote} does not use the ${Objects.hashAlgorithm()} object format`);
     } else {
       // Get the location of the remote.
       const remoteUrl = Config.read().remote[remote].url;
@@ -338,17 +846,28 @@ const Gitlet = {
         // thinks the remote branch is on.
         const oldHash = Refs.hash(remoteRef);
 
-        // Get all the objects in the remote `objects` directory and
-        // write them.  to the local `objects` directory.  (This is an
-        // inefficient way of getting all the objects required to
-        // recreate locally the commit the remote branch is on.)
-        const remoteObjects = Util.onRemote(remoteUrl)(Objects.allObjects);
-        remoteObjects.forEach(Objects.write);
+        // Tell the remote the commits this repository has: the ones
+        // its refs point at.  On the remote, find the commits, trees
+        // and blobs reachable from `newHash` that this repository
+        // does not have.  Get them as a pack and write it to the
+        // local `objects` directory.
+        const localPath = process.cwd();
+        const haveHashes = Object.values(Refs.allRefs());
+        const sent = Util.onRemote(remoteUrl)(() => Objects.send(Objects.missing(
+          Log.newCommits([newHash], haveHashes.filter(Objects.exists)),
+          h => Util.onRemote(localPath)(Objects.exists, h),
+        )));
+        Objects.receive(sent);
 
         // Set the contents of the file at
         // `.Gitlet/refs/remotes/[remote]/[branch]` to `newHash`, the
-        // hash of the commit that the remote branch is on.
-        Gitlet.update_ref(remoteRef, newHash);
+        // hash of the commit that the remote branch is on.  Record in
+        // the log whether the remote branch was rewritten.
+        const isForced = Merge.isAForceFetch(oldHash, newHash);
+        const reason = isForced ? 'forced-update' : 'fast-forward';
+        Gitlet.update_ref(remoteRef, newHash, {
+          m: `fetch ${remote} ${branch}: ${oldHash === undefined ? 'storing head' : reason}`,
+        });
 
         // Record the hash of the commit that the remote branch is on
         // in `FETCH_HEAD`.  (The user can call `Gitlet merge
@@ -357,22 +876,89 @@ const Gitlet = {
         // [Gitlet.merge()](#section-93).)
         Refs.write('FETCH_HEAD', `${newHash} branch ${branch} of ${remoteUrl}`);
 
+        // Get the tags on the remote that this repository does not
+        // have, but that tag commits it now has.  Get the tag objects
+        // of the annotated ones and point a local tag at each.
+        const remoteTags = Util.onRemote(remoteUrl)(Refs.tags);
+        const localTags = Refs.tags();
+        const newTags = Object.keys(remoteTags).sort()
+          .filter(t => localTags[t] === undefined
+            && Objects.exists(Util.onRemote(remoteUrl)(Objects.peel, remoteTags[t])));
+        const sentTags = Util.onRemote(remoteUrl)(() => Objects.send(Objects.missing(
+          newTags.map(t => remoteTags[t]),
+          h => Util.onRemote(localPath)(Objects.exists, h),
+        )));
+        Objects.receive(sentTags);
+        newTags.forEach((t) => { Gitlet.update_ref(Refs.toTagRef(t), remoteTags[t]); });
+
         // Report the result of the fetch.
         return `${[`From ${remoteUrl}`,
-          `Count ${remoteObjects.length}`,
+          `Count ${sent.count + sentTags.count}`,
           `${branch} -> ${remote}/${branch
-          }${Merge.isAForceFetch(oldHash, newHash) ? ' (forced)' : ''}`].join('\n')}\n`;
+          }${isForced ? ' (forced)' : ''}`]
+          .concat(newTags.map(t => `[new tag] ${t} -> ${t}`)).join('\n')}\n`;
       }
     }
   },
 
   // **merge()** finds the set of differences between the commit that
-  // the currently checked out branch is on and the commit that `ref`
-  // points to.  It finds or creates a commit that applies these
-  // differences to the checked out branch.
-  merge(ref, _) {
+  // the currently checked out branch, or the detached head, is on and
+  // the commit that `ref` points to.  It finds or creates a commit
+  // that applies these differences to the checked out branch.
+  // `--no-ff` creates a merge commit even if a fast forward is
+  // possible.  `--ff-only` aborts if a fast forward is not possible.
+  // `--squash` writes the merged content to the index and working
+  // copy but does not put the repository into the merge state, so the
+  // next commit is an ordinary commit.  `-s ours` creates a merge
+  // commit that keeps the content of the current commit as it is.
+  // `-s recursive`, the default, merges the changes from the common
+  // ancestor, making a virtual one if there are several (see
+  // `Merge.commonAncestor()`).  `-X ours` and `-X theirs` resolve
+  // conflicting changes by taking the current commit's side or the
+  // other side.  The commit that the branch was on before the merge
+  // is recorded in `ORIG_HEAD`.  `--abort` ends a merge that stopped
+  // with conflicts and puts the index and the merged files back to
+  // how they were in `ORIG_HEAD`.  `--continue` commits the merge
+  // once all the conflicts are resolved.
+  merge(ref, opts) {
     Files.assertInRepo();
     Config.assertNotBare();
+    const {
+      'no-ff': noFf, 'ff-only': ffOnly, squash, s: strategy, X: favor,
+      abort, continue: isContinuing,
+    } = opts || {};
+    const name = [ref, noFf, ffOnly, squash].filter(Util.isString)[0];
+
+    // Abort if an option to carry on or stop a merge was passed, but
+    // there is no merge in progress.
+    if ((abort || isContinuing) && !Merge.isMergeInProgress()) {
+      throw new Error('there is no merge in progress (MERGE_HEAD missing)');
+
+    // If `--abort` was passed, restore the index from `ORIG_HEAD`, and
+    // the files in the working copy that the merge could have
+    // changed.  Other changes in the working copy are kept.
+    } else if (abort) {
+      const origHash = Refs.hash('ORIG_HEAD');
+      const merged = Diff.nameStatus(Diff.diff(origHash, Refs.hash('MERGE_HEAD')));
+      const dif = Diff.addModes(Diff.tocDiff(Index.workingCopyToc(), Objects.commitToc(origHash)),
+        Index.workingCopyModes(), Objects.commitModes(origHash));
+      fs.unlinkSync(Files.gitletPath('MERGE_MSG'));
+      Refs.rm('MERGE_HEAD');
+      Index.write(Index.tocToIndex(Objects.commitToc(origHash)), Objects.commitModes(origHash));
+      WorkingCopy.write(Object.keys(dif).filter(p => merged[p] !== undefined)
+        .reduce((d, p) => Util.setIn(d, [p, dif[p]]), {}));
+      return undefined;
+
+    // If `--continue` was passed, commit the merge.  Abort if any
+    // files are still in conflict.
+    } else if (isContinuing) {
+      const conflictedPaths = Index.conflictedPaths();
+      if (conflictedPaths.length > 0) {
+        throw new Error(`${conflictedPaths.map(p => `${p}: needs merge`).join('\n')
+        }\nyou must resolve all conflicts and add the files before continuing`);
+      }
+      return Gitlet.commit();
+    }
 
     // Get the `receiverHash`, the hash of the commit that the
     // current branch is on.
@@ -380,17 +966,21 @@ const Gitlet = {
 
     // Get the `giverHash`, the hash for the commit to merge into the
     // receiver commit.
-    const giverHash = Refs.hash(ref);
-
-    // Abort if head is detached.  Merging into a detached head is not
-    // supported.
-    if (Refs.isHeadDetached()) {
-      throw new Error('unsupported');
-
-    // Abort if `ref` did not resolve to a hash, or if that hash is
+    const giverHash = Rev.hash(name);
+
+    // Abort if the options cannot be used together, or name a
+    // strategy or strategy option that does not exist.
+    if ([noFf, ffOnly, squash].filter(o => o).length > 1) {
+      throw new Error('--no-ff, --ff-only and --squash cannot be used together');
+    } else if (strategy !== undefined && ['ours', 'recursive'].indexOf(strategy) === -1) {
+      throw new Error(`could not find merge strategy '${strategy}'`);
+    } else if (favor !== undefined && favor !== 'ours' && favor !== 'theirs') {
+      throw new Error(`unknown strategy option: -X${favor}`);
+
+    // Abort if `name` did not resolve to a hash, or if that hash is
     // not for a commit object.
-    } else if (giverHash === undefined || Objects.type(Objects.read(giverHash)) !== 'commit') {
-      throw new Error(`${ref}: expected commit type`);
+    } else if (giverHash === undefined || Objects.typeOf(giverHash) !== 'commit') {
+      throw new Error(`${name}: expected commit type`);
 
     // Do not merge if the current branch - the receiver - already has
     // the giver's changes.  This is the case if the receiver and
@@ -398,58 +988,113 @@ const Gitlet = {
     // the receiver.
     } else if (Objects.isUpToDate(receiverHash, giverHash)) {
       return 'Already up-to-date';
-    } else {
-      // Get a list of files changed in the working copy.  Get a list
-      // of the files that are different in the receiver and giver. If
-      // any files appear in both lists then abort.
-      const paths = Diff.changedFilesCommitWouldOverwrite(giverHash);
-      if (paths.length > 0) {
-        throw new Error(`local changes would be lost\n${paths.join('\n')}\n`);
-
-      // If the receiver is an ancestor of the giver, a fast forward
-      // is performed.  This is possible because there is already a
-      // commit that incorporates all of the giver's changes into the
-      // receiver.
-      } else if (Merge.canFastForward(receiverHash, giverHash)) {
-        // Fast forwarding means making the current branch reflect the
-        // commit that `giverHash` points at.  The branch is pointed
-        // at `giverHash`.  The index is set to match the contents of
-        // the commit that `giverHash` points at.  The working copy is
-        // set to match the contents of that commit.
-        Merge.writeFastForwardMerge(receiverHash, giverHash);
-        return 'Fast-forward';
-
-      // If the receiver is not an ancestor of the giver, a merge
-      // commit must be created.
-      } else {
-        // The repository is put into the merge state.  The
-        // `MERGE_HEAD` file is written and its contents set to
-        // `giverHash`.  The `MERGE_MSG` file is written and its
-        // contents set to a boilerplate merge commit message.  A
-        // merge diff is created that will turn the contents of
-        // receiver into the contents of giver.  This contains the
-        // path of every file that is different and whether it was
-        // added, removed or modified, or is in conflict.  Added files
-        // are added to the index and working copy.  Removed files are
-        // removed from the index and working copy.  Modified files
-        // are modified in the index and working copy.  Files that are
-        // in conflict are written to the working copy to include the
-        // receiver and giver versions.  Both the receiver and giver
-        // versions are written to the Index.
-        Merge.writeNonFastForwardMerge(receiverHash, giverHash, ref);
-
-        // If there are any conflicted files, a message is shown to
-        // say that the user must sort them out before the merge can
-        // be completed.
-        if (Merge.hasConflicts(receiverHash, giverHash)) {
-          return 'Automatic merge failed. Fix conflicts and commit the result.';
-
-        // If there are no conflicted files, a commit is created from
-        // the merged changes and the merge is over.
-        }
-        return Gitlet.commit();
+    }
+
+    // Get a list of files changed in the working copy.  Get a list
+    // of the files that are different in the receiver and giver. If
+    // any files appear in both lists then abort.
+    const paths = Diff.changedFilesCommitWouldOverwrite(giverHash);
+    if (paths.length > 0) {
+      throw new Error(`local changes would be lost\n${paths.join('\n')}\n`);
+
+    // Abort if only a fast forward was allowed, but it is not
+    // possible.
+    } else if (ffOnly && !Merge.canFastForward(receiverHash, giverHash)) {
+      throw new Error('Not possible to fast-forward, aborting.');
+    }
+
+    // Record the commit the branch is on before it is merged.
+    if (receiverHash !== undefined) {
+      Refs.write('ORIG_HEAD', receiverHash);
+    }
+
+    // If the receiver is an ancestor of the giver, a fast forward
+    // is performed.  This is possible because there is already a
+    // commit that incorporates all of the giver's changes into the
+    // receiver.
+    if (Merge.canFastForward(receiverHash, giverHash) && !noFf && !squash) {
+      // Fast forwarding means making the current branch reflect the
+      // commit that `giverHash` points at.  The branch is pointed
+      // at `giverHash`.  The index is set to match the contents of
+      // the commit that `giverHash` points at.  The working copy is
+      // set to match the contents of that commit.
+      Merge.writeFastForwardMerge(receiverHash, giverHash, `merge ${name}: Fast-forward`);
+      return 'Fast-forward';
+
+    // A squash merge writes the merged content, but leaves it to
+    // the user to commit it.
+    } if (squash) {
+      if (strategy !== 'ours') {
+        Merge.writeMergeContent(Merge.mergeDiff(receiverHash, giverHash, undefined, favor),
+          name);
       }
+      return Index.conflictedPaths().length > 0
+        ? 'Squash commit -- not updating HEAD\nAutomatic merge failed. Fix conflicts and commit the result.'
+        : 'Squash commit -- not updating HEAD\nAutomatic merge went well; stopped before committing as requested';
+
+    // The `ours` strategy records the merge without changing any
+    // content.
+    } if (strategy === 'ours') {
+      Merge.writeOursMerge(giverHash, name);
+      Gitlet.commit();
+      return "Merge made by the 'ours' strategy";
     }
+
+    // Otherwise, the receiver is not an ancestor of the giver, or a
+    // merge commit was asked for, so a merge commit must be created.
+    // The repository is put into the merge state.  The
+    // `MERGE_HEAD` file is written and its contents set to
+    // `giverHash`.  The `MERGE_MSG` file is written and its
+    // contents set to a boilerplate merge commit message.  A
+    // merge diff is created that will turn the contents of
+    // receiver into the contents of giver.  This contains the
+    // path of every file that is different and whether it was
+    // added, removed or modified, or is in conflict.  Added files
+    // are added to the index and working copy.  Removed files are
+    // removed from the index and working copy.  Modified files
+    // are modified in the index and working copy.  Files that are
+    // in conflict are written to the working copy to include the
+    // receiver and giver versions.  Both the receiver and giver
+    // versions are written to the Index.
+    const mergeDiff = Merge.mergeDiff(receiverHash, giverHash, undefined, favor);
+    Merge.writeNonFastForwardMerge(giverHash, name, mergeDiff);
+
+    // If there are any conflicted files, a message is shown to
+    // say that the user must sort them out before the merge can
+    // be completed.
+    if (Merge.hasConflicts(mergeDiff)) {
+      return Merge.binaryConflicts(mergeDiff)
+        .map(p => `warning: Cannot merge binary files: ${p} (HEAD vs. ${name})`)
+        .concat('Automatic merge failed. Fix conflicts and commit the result.')
+        .join('\n');
+
+    // If there are no conflicted files, a commit is created from
+    // the merged changes and the merge is over.
+    }
+    return Gitlet.commit();
+  },
+
+  // **merge_base()** prints the hash of the best common ancestor of
+  // the commits `ref1` and `ref2`.  `--all` prints all of them, if
+  // criss-cross merges have left more than one.
+  merge_base(ref1, ref2, opts) {
+    Files.assertInRepo();
+    const { all } = opts || {};
+    const refs = [all, ref1, ref2].filter(Util.isString);
+    const hashes = refs.map(Rev.hash);
+    const notCommit = refs.filter((r, i) => hashes[i] === undefined
+      || Objects.typeOf(hashes[i]) !== 'commit')[0];
+
+    // Abort if two refs were not passed, or they do not both point
+    // at commits.
+    if (refs.length !== 2) {
+      throw new Error('usage: merge-base [--all] <commit> <commit>');
+    } else if (notCommit !== undefined) {
+      throw new Error(`Not a valid commit name ${notCommit}`);
+    }
+
+    const bases = Merge.mergeBases(hashes[0], hashes[1]);
+    return bases.length > 0 ? bases.slice(0, all ? undefined : 1).join('\n') : undefined;
   },
 
   // **pull()** fetches the commit that `branch` is on at `remote`.
@@ -461,18 +1106,241 @@ const Gitlet = {
     return Gitlet.merge('FETCH_HEAD');
   },
 
+  // **rebase()** replays the commits on the current branch that are
+  // not on `upstream` on top of the commit `upstream` points at, then
+  // moves the branch to the last replayed commit.  `upstream`
+  // defaults to the remote branch the current branch tracks.  If
+  // `branch` is passed, it is checked out first.  Merge commits are
+  // not replayed.  If a commit conflicts, the rebase stops with the
+  // conflicts in the index and working copy (see the rebase module).
+  // Once they are resolved and added, `--continue` commits the result
+  // and carries on.  `--skip` throws the commit away and carries on.
+  // `--abort` puts the branch back to where it was.
+  rebase(upstream, branch, opts) {
+    Files.assertInRepo();
+    Config.assertNotBare();
+    const { continue: isContinuing, skip, abort } = opts || {};
+
+    // Abort if an option to carry on or stop a rebase was passed, but
+    // there is no rebase in progress.
+    if ((isContinuing || skip || abort) && !Rebase.isInProgress()) {
+      throw new Error('no rebase in progress');
+
+    // If `--abort` was passed, put the working copy, index and branch
+    // back to how they were before the rebase.
+    } else if (abort) {
+      const state = Rebase.readState();
+      Gitlet.reset(state.origHead, { hard: true });
+      if (state.headName !== 'detached HEAD') {
+        Refs.write('HEAD', `ref: ${state.headName}`,
+          `rebase (abort): returning to ${state.headName}`);
+      }
+      Rebase.clear();
+      return undefined;
+
+    // If `--skip` was passed, throw away the changes made by the
+    // commit that stopped the rebase.
+    } else if (skip) {
+      Gitlet.reset('HEAD', { hard: true });
+      return Rebase.replay();
+
+    // If `--continue` was passed, commit the resolved changes.  Abort
+    // if any are still in conflict.
+    } else if (isContinuing) {
+      const conflictedPaths = Index.conflictedPaths();
+      if (conflictedPaths.length > 0) {
+        throw new Error(`${conflictedPaths.map(p => `${p}: needs merge`).join('\n')
+        }\nyou must resolve all conflicts and add the files before continuing`);
+      }
+      Rebase.commit(Rebase.readState().stoppedSha);
+      return Rebase.replay();
+
+    // Abort if a rebase is already in progress.
+    } else if (Rebase.isInProgress()) {
+      throw new Error('a rebase is in progress; use --continue, --skip or --abort');
+    }
+
+    // Check out `branch`, if it was passed.
+    if (branch !== undefined && branch !== Refs.headBranchName()) {
+      Gitlet.checkout(branch);
+    }
+
+    const headHash = Refs.hash('HEAD');
+    const ontoName = upstream || '@{upstream}';
+    const ontoHash = Rev.hash(ontoName);
+    const headName = Refs.isHeadDetached() ? 'detached HEAD' : Refs.terminalRef('HEAD');
+    const headToc = headHash === undefined ? {} : Objects.commitToc(headHash);
+
+    // Abort if there is nothing to rebase.
+    if (headHash === undefined) {
+      throw new Error(`your current branch ${Refs.headBranchName()} does not have any commits yet`);
+
+    // Abort if `upstream` does not point at a commit.
+    } else if (ontoHash === undefined || Objects.typeOf(ontoHash) !== 'commit') {
+      throw new Error(upstream === undefined ? 'there is no tracking information for the current branch'
+        : `invalid upstream '${upstream}'`);
+
+    // Abort if there are changes that are not committed.
+    } else if (Merge.isMergeInProgress()
+               || Object.keys(Diff.nameStatus(Diff.tocDiff(headToc, Index.toc()))).length > 0
+               || Object.keys(Diff.nameStatus(Diff.diff())).length > 0) {
+      throw new Error('cannot rebase: you have changes that are not committed');
+
+    // Do nothing if the branch already contains `upstream`.
+    } else if (headHash === ontoHash || Objects.isAncestor(headHash, ontoHash)) {
+      return `Current branch ${Refs.headBranchName() || headHash} is up to date.`;
+    }
+
+    // Record the commits to replay, oldest first, and the rest of the
+    // state of the rebase.  Record where the branch was in `ORIG_HEAD`.
+    Refs.write('ORIG_HEAD', headHash);
+    Rebase.writeState({
+      headName,
+      onto: ontoHash,
+      origHead: headHash,
+      todo: Log.revList([headHash], [ontoHash]).reverse()
+        .filter(h => Objects.parentHashes(Objects.read(h)).length === 1),
+    });
+
+    // Detach `HEAD` at the onto commit and replay the commits on top
+    // of it.
+    WorkingCopy.write(Diff.diff(headHash, ontoHash));
+    Index.write(Index.tocToIndex(Objects.commitToc(ontoHash)), Objects.commitModes(ontoHash));
+    Refs.write('HEAD', ontoHash, `rebase (start): checkout ${ontoName}`);
+    return Rebase.replay();
+  },
+
+  // **cherry_pick()** applies the changes made by the commit `ref` to
+  // `HEAD` and commits them, keeping the author and message of the
+  // commit and noting where it came from.  The changes are merged
+  // three ways, with the parent of the commit as the base.  For a
+  // merge commit, `-m <parent>` says which parent to take the changes
+  // from, counting from 1.  If there are conflicts, the cherry-pick
+  // stops.  Once they are resolved and added, `commit` finishes it.
+  cherry_pick(ref, opts) {
+    Files.assertInRepo();
+    Config.assertNotBare();
+    const { m: mainline } = opts || {};
+    const hash = Rev.hash(ref);
+
+    // Abort if `ref` does not point at a commit, or there is no commit
+    // to apply the changes to.
+    if (hash === undefined || Objects.typeOf(hash) !== 'commit') {
+      throw new Error(`bad revision '${ref}'`);
+    } else if (Refs.hash('HEAD') === undefined) {
+      throw new Error(`your current branch ${Refs.headBranchName()} does not have any commits yet`);
+    }
+
+    const message = Objects.commitMessage(Objects.read(hash));
+    const conflicts = Merge.writePickState(hash, Merge.pickParent(hash, mainline), hash,
+      'CHERRY_PICK_HEAD', `${message}\n\n(cherry picked from commit ${hash})`);
+    if (conflicts.length > 0) {
+      return conflicts.map(p => `CONFLICT (content): Merge conflict in ${p}`)
+        .concat(`could not apply ${Log.format(hash, true)[0]}`,
+          'Resolve the conflicts, add the files, then run "gitlet commit".')
+        .join('\n');
+    }
+    return Gitlet.commit();
+  },
+
+  // **revert()** makes a new commit that undoes the changes made by
+  // the commit `ref`.  The changes are reversed by merging three ways,
+  // with `ref` as the base and its parent as the giver.  The message
+  // of the new commit says which commit was reverted.  `-m <parent>`
+  // and conflicts are handled as they are by `cherry_pick()`.
+  revert(ref, opts) {
+    Files.assertInRepo();
+    Config.assertNotBare();
+    const { m: mainline } = opts || {};
+    const hash = Rev.hash(ref);
+
+    // Abort if `ref` does not point at a commit, or there is no commit
+    // to apply the changes to.
+    if (hash === undefined || Objects.typeOf(hash) !== 'commit') {
+      throw new Error(`bad revision '${ref}'`);
+    } else if (Refs.hash('HEAD') === undefined) {
+      throw new Error(`your current branch ${Refs.headBranchName()} does not have any commits yet`);
+    }
+
+    const parentHash = Merge.pickParent(hash, mainline);
+    const subject = Objects.commitMessage(Objects.read(hash)).split('\n')[0];
+    const conflicts = Merge.writePickState(parentHash, hash, hash, 'REVERT_HEAD',
+      `Revert "${subject}"\n\nThis reverts commit ${hash}${mainline === undefined ? ''
+        : `, reversing\nchanges made to ${parentHash}`}.`);
+    if (conflicts.length > 0) {
+      return conflicts.map(p => `CONFLICT (content): Merge conflict in ${p}`)
+        .concat(`could not revert ${Log.format(hash, true)[0]}`,
+          'Resolve the conflicts, add the files, then run "gitlet commit".')
+        .join('\n');
+    }
+    return Gitlet.commit();
+  },
+
   // **push()** gets the commit that `branch` is on in the local repo
-  // and points `branch` on `remote` at the same commit.
-  push(remote, branch, opts = {}) {
+  // and points `branch` on `remote` at the same commit.  If `-u` is
+  // passed, `branch` is set to track `branch` on `remote`.  If
+  // `branch` is the name of a tag, the tag is pushed instead.  If
+  // `--tags` is passed, all the tags are pushed instead.
+  push(remote, branch, opts) {
     Files.assertInRepo();
+    const { f: force, u: setUpstream, tags: allTags } = opts || {};
+
+    // **pushTags()** points the tags `names` on the remote at the
+    // same commits or tag objects they point at in the local repo.
+    // It aborts if a tag already points somewhere else on the remote,
+    // unless `-f` was passed.
+    function pushTags(remotePath, names) {
+      const remoteCall = Util.onRemote(remotePath);
+      const tags = Refs.tags();
+      const remoteTags = remoteCall(Refs.tags);
+      const rejected = names.filter(t => remoteTags[t] !== undefined && remoteTags[t] !== tags[t]);
+      if (rejected.length > 0 && !force) {
+        throw new Error(`failed to push some refs to ${remotePath}\n${
+          rejected.map(t => `${t} -> ${t} (already exists)`).join('\n')}`);
+      }
+
+      const toPush = names.filter(t => remoteTags[t] !== tags[t]);
+      if (toPush.length === 0) {
+        return 'Everything up-to-date';
+      }
+
+      // Send the tag objects, and the commits, trees and blobs
+      // reachable from the tags, that the remote does not have.
+      const haveHashes = Object.values(remoteCall(Refs.allRefs));
+      const tagged = toPush.map(t => Objects.peel(tags[t]))
+        .filter(h => Objects.typeOf(h) === 'commit');
+      const sent = Objects.send(Objects.missing(
+        Log.newCommits(tagged, haveHashes.filter(Objects.exists))
+          .concat(toPush.map(t => tags[t])),
+        h => remoteCall(Objects.exists, h),
+      ));
+      remoteCall(Objects.receive, sent);
+      toPush.forEach((t) => { remoteCall(Gitlet.update_ref, Refs.toTagRef(t), tags[t]); });
+
+      return `${[`To ${remotePath}`, `Count ${sent.count}`]
+        .concat(toPush.map(t => `${t} -> ${t}`)).join('\n')}\n`;
+    }
 
     // Abort if a `remote` or `branch` not passed.
-    if (remote === undefined || branch === undefined) {
+    if (remote === undefined || (branch === undefined && !allTags)) {
       throw new Error('unsupported');
 
     // Abort if `remote` not recorded in config file.
     } else if (!(remote in Config.read().remote)) {
       throw new Error(`${remote} does not appear to be a git repository`);
+
+    // Abort if `remote` names objects with a different hash.
+    } else if (Util.onRemote(Config.read().remote[remote].url)(Objects.hashAlgorithm)
+               !== Objects.hashAlgorithm()) {
+      throw new Error(`${remote} does not use the ${Objects.hashAlgorithm()} object format`);
+
+    // If `--tags` was passed, push all the tags.
+    } else if (allTags) {
+      return pushTags(Config.read().remote[remote].url, Object.keys(Refs.tags()).sort());
+
+    // If `branch` is the name of a tag, push the tag.
+    } else if (Refs.terminalRef(branch).startsWith('refs/tags/')) {
+      return pushTags(Config.read().remote[remote].url, [branch]);
     } else {
       const remotePath = Config.read().remote[remote].url;
       const remoteCall = Util.onRemote(remotePath);
@@ -490,38 +1358,59 @@ const Gitlet = {
         // at the local repository.
         const giverHash = Refs.hash(branch);
 
+        // Abort if there is no local `branch` to push.
+        if (giverHash === undefined) {
+          throw new Error(`src refspec ${branch} does not match any`);
+        }
+
         // Do nothing if the remote branch - the receiver - has
         // already incorporated the commit that `giverHash` points
         // to. This is the case if the receiver commit and giver
         // commit are the same, or if the giver commit is an ancestor
         // of the receiver commit.
         if (Objects.isUpToDate(receiverHash, giverHash)) {
+          if (setUpstream) {
+            Refs.setUpstream(branch, remote, branch);
+          }
           return 'Already up-to-date';
 
         // Abort if `branch` on `remote` cannot be fast forwarded to
         // the commit that `giverHash` points to.  A fast forward can
         // only be done if the receiver commit is an ancestor of the
         // giver commit.
-        } if (!opts.f && !Merge.canFastForward(receiverHash, giverHash)) {
+        } if (!force && !Merge.canFastForward(receiverHash, giverHash)) {
           throw new Error(`failed to push some refs to ${remotePath}`);
 
         // Otherwise, do the push.
         } else {
-          // Put all the objects in the local `objects` directory into
-          // the remote `objects` directory.
-          Objects.allObjects().forEach((o) => { remoteCall(Objects.write, o); });
+          // Get the commits the remote has: the ones its refs point
+          // at.  Find the commits, trees and blobs reachable from
+          // `giverHash` that the remote does not have.  Put them in a
+          // pack in the remote `objects` directory.
+          const haveHashes = Object.values(remoteCall(Refs.allRefs));
+          const sent = Objects.send(Objects.missing(
+            Log.newCommits([giverHash], haveHashes.filter(Objects.exists)),
+            h => remoteCall(Objects.exists, h),
+          ));
+          remoteCall(Objects.receive, sent);
 
           // Point `branch` on `remote` at `giverHash`.
-          remoteCall(Gitlet.update_ref, Refs.toLocalRef(branch), giverHash);
+          remoteCall(Gitlet.update_ref, Refs.toLocalRef(branch), giverHash, { m: 'push' });
 
           // Set the local repo's record of what commit `branch` is on
           // at `remote` to `giverHash` (since that is what it is now
           // is).
-          Gitlet.update_ref(Refs.toRemoteRef(remote, branch), giverHash);
+          Gitlet.update_ref(Refs.toRemoteRef(remote, branch), giverHash, { m: 'update by push' });
+
+          // If `-u` was passed, record that `branch` tracks `branch` on
+          // `remote`.
+          if (setUpstream) {
+            Refs.setUpstream(branch, remote, branch);
+          }
 
           // Report the result of the push.
           return `${[`To ${remotePath}`,
-            `Count ${Objects.allObjects().length}`,
+            `Count ${sent.count}`,
             `${branch} -> ${branch}`].join('\n')}\n`;
         }
       }
@@ -529,34 +1418,85 @@ const Gitlet = {
   },
 
   // **status()** reports the state of the repo: the current branch,
-  // untracked files, conflicted files, files that are staged to be
-  // committed and files that are not staged to be committed.
-  status() {
+  // how far it is ahead of and behind the branch it tracks, untracked
+  // files, conflicted files, files that are staged to be committed and
+  // files that are not staged to be committed.  If `--porcelain` is
+  // passed, it prints a line for each file, like `XY path`, where `X`
+  // is the staged status and `Y` is the unstaged status.  Conflicted
+  // files are `UU` and untracked files are `??`.  The first line is
+  // like `## master...origin/master [ahead 1, behind 2]`.  If `--json`
+  // is passed, it prints the same information as a JSON object.
+  status(opts) {
     Files.assertInRepo();
     Config.assertNotBare();
-    // **untracked()** returns an array of lines listing the files not
-    // being tracked by Gitlet.
+    const { porcelain, json } = opts || {};
+
+    // **untracked()** returns an array of the paths of all the files
+    // in the working copy that are not being tracked by Gitlet and
+    // are not ignored.
     function untracked() {
       const index = Index.toc();
-      return fs.readdirSync(Files.workingCopyPath())
-        .filter(p => index[p] === undefined && p !== '.gitlet');
+      return Ignore.lsRecursive(Files.workingCopyPath())
+        .map(Files.pathFromRepoRoot)
+        .filter(p => index[p] === undefined)
+        .sort();
     }
 
-    // **toBeCommitted()** returns an array of lines listing the files
-    // that have changes that will be included in the next commit.
+    // **toBeCommitted()** returns a JS object that maps the files that
+    // have changes that will be included in the next commit to their
+    // status.
     function toBeCommitted() {
       const headHash = Refs.hash('HEAD');
       const headToc = headHash === undefined ? {} : Objects.commitToc(headHash);
-      const ns = Diff.nameStatus(Diff.tocDiff(headToc, Index.toc()));
-      return Object.keys(ns).map(p => `${ns[p]} ${p}`);
+      const headModes = headHash === undefined ? {} : Objects.commitModes(headHash);
+      return Diff.nameStatus(Diff.addModes(Diff.tocDiff(headToc, Index.toc()),
+        headModes, Index.modes()));
     }
 
-    // **notStagedForCommit()** returns an array of lines listing the
-    // files that have changes that will not be included in the next
-    // commit.
+    // **notStagedForCommit()** returns a JS object that maps the files
+    // that have changes that will not be included in the next commit
+    // to their status.
     function notStagedForCommit() {
-      const ns = Diff.nameStatus(Diff.diff());
-      return Object.keys(ns).map(p => `${ns[p]} ${p}`);
+      return Diff.nameStatus(Diff.diff());
+    }
+
+    // **tracking()** returns the name of the remote branch that the
+    // current branch tracks, and the number of commits the current
+    // branch is ahead of it and behind it.  It returns `undefined` if
+    // the current branch does not track a remote branch that has been
+    // fetched.
+    function tracking() {
+      const branch = Refs.headBranchName();
+      const upstream = branch === undefined ? undefined : Refs.upstream(branch);
+      const headHash = Refs.hash('HEAD');
+      const upstreamHash = upstream === undefined ? undefined : Refs.hash(upstream);
+      if (headHash === undefined || upstreamHash === undefined) {
+        return undefined;
+      }
+
+      return {
+        upstream: upstream.replace(/^refs\/remotes\//, ''),
+        ahead: Log.revList([headHash], [upstreamHash]).length,
+        behind: Log.revList([upstreamHash], [headHash]).length,
+      };
+    }
+
+    // **trackingLines()** returns an array of lines that describe
+    // `track`, the result of `tracking()`.
+    function trackingLines(track) {
+      const commits = n => `${n} ${n === 1 ? 'commit' : 'commits'}`;
+      if (track === undefined) {
+        return [];
+      } if (track.ahead === 0 && track.behind === 0) {
+        return [`Your branch is up to date with '${track.upstream}'.`];
+      } if (track.behind === 0) {
+        return [`Your branch is ahead of '${track.upstream}' by ${commits(track.ahead)}.`];
+      } if (track.ahead === 0) {
+        return [`Your branch is behind '${track.upstream}' by ${commits(track.behind)},`
+                + ' and can be fast-forwarded.'];
+      }
+      return [`Your branch and '${track.upstream}' have diverged,`,
+        `and have ${track.ahead} and ${track.behind} different commits each, respectively.`];
     }
 
     // **listing()** keeps `lines` (prefixed by `heading`) only if it's nonempty.
@@ -564,13 +1504,52 @@ const Gitlet = {
       return lines.length > 0 ? [heading, lines] : [];
     }
 
+    const branch = Refs.headBranchName();
+    const track = tracking();
+    const unmerged = Index.conflictedPaths();
+    const staged = toBeCommitted();
+    const unstaged = notStagedForCommit();
+
+    if (json) {
+      // **entries()** turns a JS object that maps files to their
+      // status into an array, leaving out conflicted files.
+      const entries = ns => Object.keys(ns)
+        .filter(p => unmerged.indexOf(p) === -1)
+        .map(p => ({ path: p, status: ns[p] }));
+      return JSON.stringify(Object.assign({ branch: branch === undefined ? null : branch },
+        track === undefined ? { upstream: null } : track, {
+          staged: entries(staged),
+          unstaged: entries(unstaged),
+          unmerged,
+          untracked: untracked(),
+        }));
+    }
+
+    if (porcelain) {
+      const counts = track === undefined ? [] : [
+        track.ahead > 0 ? `ahead ${track.ahead}` : undefined,
+        track.behind > 0 ? `behind ${track.behind}` : undefined,
+      ].filter(c => c !== undefined);
+      const header = ['## ', branch === undefined ? 'HEAD (no branch)' : branch,
+        track === undefined ? '' : `...${track.upstream}`,
+        counts.length > 0 ? ` [${counts.join(', ')}]` : ''].join('');
+      const changed = Util.unique(unmerged.concat(Object.keys(staged), Object.keys(unstaged)))
+        .sort()
+        .map(p => (unmerged.indexOf(p) !== -1
+          ? `UU ${p}`
+          : `${staged[p] || ' '}${unstaged[p] || ' '} ${p}`));
+      return [header].concat(changed, untracked().map(p => `?? ${p}`)).join('\n');
+    }
+
     // Gather all the sections, keeping only nonempty ones, and flatten them
     // together into a string.
-    return Util.flatten([`On branch ${Refs.headBranchName()}`,
+    return Util.flatten([`On branch ${branch}`,
+      trackingLines(track),
       listing('Untracked files:', untracked()),
-      listing('Unmerged paths:', Index.conflictedPaths()),
-      listing('Changes to be committed:', toBeCommitted()),
-      listing('Changes not staged for commit:', notStagedForCommit())])
+      listing('Unmerged paths:', unmerged),
+      listing('Changes to be committed:', Object.keys(staged).map(p => `${staged[p]} ${p}`)),
+      listing('Changes not staged for commit:',
+        Object.keys(unstaged).map(p => `${unstaged[p]} ${p}`))])
       .join('\n');
   },
 
@@ -600,12 +1579,16 @@ const Gitlet = {
       }
 
       // In the directory for the new remote repository...
+      const objectFormat = Util.onRemote(remotePath)(Objects.hashAlgorithm);
       Util.onRemote(targetPath)(() => {
-        // Initialize the directory as a Gitlet repository.
-        Gitlet.init(opts);
+        // Initialize the directory as a Gitlet repository that names
+        // objects with the same hash as the remote.
+        Gitlet.init(Object.assign({}, opts, { 'object-format': objectFormat }));
 
-        // Set up `remotePath` as a remote called "origin".
+        // Set up `remotePath` as a remote called "origin", and make
+        // master track master on it.
         Gitlet.remote('add', 'origin', nodePath.relative(process.cwd(), remotePath));
+        Refs.setUpstream('master', 'origin', 'master');
 
         // Get the hash of the commit that master is pointing at on
         // the remote repository.
@@ -617,7 +1600,7 @@ const Gitlet = {
         // new repository to point at that commit.
         if (remoteHeadHash !== undefined) {
           Gitlet.fetch('origin', 'master');
-          Merge.writeFastForwardMerge(undefined, remoteHeadHash);
+          Merge.writeFastForwardMerge(undefined, remoteHeadHash, `clone: from ${remotePath}`);
         }
       });
 
@@ -626,6 +1609,192 @@ const Gitlet = {
     }
   },
 
+  // **repack()** moves all the loose objects into a new pack, so
+  // they are stored together and as deltas against each other.  If
+  // `-a` is passed, all the objects in existing packs are moved into
+  // the new pack, too, and the old packs are removed.
+  repack(opts) {
+    Files.assertInRepo();
+    const { a: all } = opts || {};
+
+    // Objects from older versions of Gitlet cannot be packed, so they
+    // stay loose.
+    const loose = Objects.looseHashes().filter(h => !Objects.isLegacy(h));
+    const oldPacks = all ? Pack.names() : [];
+    const hashes = all ? Objects.allHashes().filter(h => !Objects.isLegacy(h)) : loose;
+
+    // Abort if there is nothing to pack.
+    if (loose.length === 0 && oldPacks.length <= 1) {
+      return 'Nothing new to pack.';
+    }
+
+    // Write the new pack, then remove the loose objects and old packs
+    // it replaces.
+    const name = Objects.pack(hashes);
+    loose.forEach(Objects.rm);
+    oldPacks.filter(n => n !== name).forEach(Pack.rm);
+    return `Packed ${hashes.length} objects into ${name}`;
+  },
+
+  // **prune()** removes the loose objects that are not reachable
+  // from any ref, `HEAD`, `MERGE_HEAD`, `FETCH_HEAD`, the logs of
+  // refs or the index, and that were last modified before the
+  // `--expire` date (see `Gc.expiryTime()`).  If `--dry-run` is
+  // passed, it lists the objects that would be removed, instead.
+  prune(opts) {
+    Files.assertInRepo();
+    const { 'dry-run': dryRun, expire } = opts || {};
+    const expired = Gc.expired(Gc.unreachable().filter(Objects.isLoose), expire);
+
+    if (dryRun) {
+      return expired.map(h => `${h} ${Objects.typeOf(h)}`).join('\n');
+    }
+
+    expired.forEach(Objects.rm);
+    return `Removed ${expired.length} unreachable objects`;
+  },
+
+  // **gc()** cleans up the objects database.  It removes the objects,
+  // loose or packed, that are not reachable and that have expired
+  // (see `prune()`).  It moves all the reachable objects into a
+  // single new pack.  If `--dry-run` is passed, it lists the objects
+  // that would be removed, instead.
+  gc(opts) {
+    Files.assertInRepo();
+    const { 'dry-run': dryRun, expire } = opts || {};
+    const reachable = Gc.reachable();
+    const unreachable = Objects.allHashes().filter(h => !reachable[h]);
+    const expired = Gc.expired(unreachable, expire);
+
+    if (dryRun) {
+      return expired.map(h => `${h} ${Objects.typeOf(h)}`).join('\n');
+    }
+
+    // Unreachable objects that have not expired yet are kept.  Those
+    // in packs are unpacked, so they can still expire once the packs
+    // are removed.
+    unreachable
+      .filter(h => expired.indexOf(h) === -1 && !Objects.isLoose(h))
+      .forEach(Objects.unpack);
+    expired.filter(Objects.isLoose).forEach(Objects.rm);
+
+    // Write the reachable objects to a new pack, then remove the loose
+    // objects and old packs it replaces.  Objects from older versions
+    // of Gitlet cannot be packed, so they stay loose.
+    const oldPacks = Pack.names();
+    const hashes = Object.keys(reachable).filter(h => Objects.exists(h) && !Objects.isLegacy(h));
+    const name = hashes.length > 0 ? Objects.pack(hashes) : undefined;
+    hashes.filter(Objects.isLoose).forEach(Objects.rm);
+    oldPacks.filter(n => n !== name).forEach(Pack.rm);
+
+    return [`Removed ${expired.length} unreachable objects`]
+      .concat(name !== undefined ? [`Packed ${hashes.length} objects into ${name}`] : [])
+      .join('\n');
+  },
+
+  // **check_ignore()** explains whether each of the paths passed is
+  // ignored.  For each path that a rule in an ignore file decides,
+  // it prints the file, the line number and the pattern of the rule,
+  // like `.gitletignore:3:*.log<tab>debug.log`.  A rule that starts
+  // with `!` means the path is not ignored.  Paths that no rule
+  // matches print nothing.  `-v` is accepted, but changes nothing,
+  // because the rule is always shown.
+  check_ignore(...args) {
+    Files.assertInRepo();
+    Config.assertNotBare();
+    const opts = (args.length > 0 && !Util.isString(args[args.length - 1]) ? args.pop() : {}) || {};
+    const { v, verbose } = opts;
+    const paths = [v, verbose].concat(args, opts['--'] || []).filter(Util.isString);
+    const unknown = Object.keys(opts)
+      .filter(k => ['_', '--', 'v', 'verbose'].indexOf(k) === -1);
+
+    // Abort if no path was passed, or an option that is not known.
+    if (paths.length === 0 || unknown.length > 0) {
+      throw new Error('usage: check-ignore [-v] <path>...');
+    }
+
+    return paths.map((path) => {
+      const pathFromRoot = Files.pathFromRepoRoot(path).split(nodePath.sep).join('/');
+      const isDir = fs.existsSync(path) && fs.statSync(path).isDirectory();
+      const rule = Ignore.explain(pathFromRoot, isDir);
+      return rule === undefined ? undefined : `${rule.source}:${rule.line}:${rule.pattern}\t${pathFromRoot}`;
+    }).filter(Util.isString).join('\n');
+  },
+
+  // **fsck()** checks the integrity of the objects database.  It
+  // prints a line for each problem it finds, like `<problem> <type>
+  // <hash>`:
+  // - `corrupt <type> <hash>`: the object cannot be read or parsed.
+  // - `hash mismatch <type> <hash>`: the object does not hash to its
+  //   name.
+  // - `broken link from <type> <hash> to <type> <hash>`: a commit, tree
+  //   or tag points at an object that is missing or of the wrong type.
+  // - `bad ref <ref> <hash>`: a ref does not point at a commit, or a
+  //   tag ref does not point at an object.
+  // - `bad index entry <path> <hash>`: an entry in the index does not
+  //   point at a blob.
+  // - `missing <type> <hash>`: an object that something points at is
+  //   not in the database.
+  // - `dangling <type> <hash>`: nothing points at the object.
+  fsck() {
+    Files.assertInRepo();
+    const problems = [];
+    const types = {};
+    const referenced = {};
+
+    // **expect()** records that `hash` is pointed at and should be an
+    // object of type `type`.  It returns false if it is not.
+    function expect(type, hash) {
+      referenced[hash] = referenced[hash] || type;
+      return types[hash] === type;
+    }
+
+    // Read every object to check it can be parsed and hashes to its
+    // name.
+    const hashes = Objects.allHashes();
+    const links = hashes.reduce((o, hash) => {
+      try {
+        types[hash] = Objects.typeOf(hash);
+        if (!Objects.isIntact(hash)) {
+          problems.push(`hash mismatch ${types[hash]} ${hash}`);
+        }
+        return Util.setIn(o, [hash, Objects.links(hash)]);
+      } catch (e) {
+        problems.push(`corrupt ${types[hash] || 'object'} ${hash}`);
+        return Util.setIn(o, [hash, []]);
+      }
+    }, {});
+
+    // Check that everything the objects, refs and index point at is
+    // there and is of the right type.
+    hashes.forEach((hash) => {
+      links[hash].filter(l => !expect(l.type, l.hash)).forEach((l) => {
+        problems.push(`broken link from ${types[hash]} ${hash} to ${l.type} ${l.hash}`);
+      });
+    });
+
+    // A tag can point at any object.  Other refs must point at
+    // commits.
+    Gc.roots().filter(r => !expect(r.name.startsWith('refs/tags/') && types[r.hash] !== undefined
+      ? types[r.hash] : 'commit', r.hash)).forEach((r) => {
+      problems.push(`bad ref ${r.name} ${r.hash}`);
+    });
+
+    const idx = Index.read();
+    Object.keys(idx).filter(k => !expect('blob', idx[k])).forEach((k) => {
+      problems.push(`bad index entry ${Index.keyPieces(k).path} ${idx[k]}`);
+    });
+
+    return problems
+      .concat(Object.keys(referenced)
+        .filter(h => links[h] === undefined)
+        .map(h => `missing ${referenced[h]} ${h}`))
+      .concat(hashes
+        .filter(h => referenced[h] === undefined)
+        .map(h => `dangling ${types[h] || 'object'} ${h}`))
+      .join('\n');
+  },
+
   // **update_index()** adds the contents of the file at `path` to the
   // index, or removes the file from the Index.
   update_index(path, opts = {}) {
@@ -633,12 +1802,12 @@ const Gitlet = {
     Config.assertNotBare();
 
     const pathFromRoot = Files.pathFromRepoRoot(path);
-    const isOnDisk = fs.existsSync(path);
+    const isOnDisk = Files.lexists(path);
     const isInIndex = Index.hasFile(path, 0);
 
     // Abort if `path` is a directory.  `update_index()` only handles
     // single Files.
-    if (isOnDisk && fs.statSync(path).isDirectory()) {
+    if (isOnDisk && fs.lstatSync(path).isDirectory()) {
       throw new Error(`${pathFromRoot} is a directory - add files inside\n`);
     } else if (opts.remove && !isOnDisk && isInIndex) {
       // Abort if file is being removed and is in conflict.  Gitlet
@@ -666,7 +1835,10 @@ const Gitlet = {
     // If file is on disk and either `-add` was passed or the file is
     // in the index, add the file's current content to the Index.
     } else if (isOnDisk && (opts.add || isInIndex)) {
-      Index.writeNonConflict(path, Files.read(Files.workingCopyPath(path)));
+      // Take the stat data of the file before reading it, so a change
+      // made while it is read will show up as a change to the stat.
+      const stat = Index.statData(fs.lstatSync(Files.workingCopyPath(path)));
+      Index.writeNonConflict(path, Files.readBlob(Files.workingCopyPath(path)), stat);
       return '\n';
 
     // Abort if the file is not on disk and `--remove` not passed.
@@ -679,16 +1851,20 @@ const Gitlet = {
   // object that represents that content to the `objects` directory.
   write_tree(_) {
     Files.assertInRepo();
-    return Objects.writeTree(Files.nestFlatTree(Index.toc()));
+    return Objects.writeTree(Files.nestFlatTree(Index.toc()), Index.modes());
   },
 
   // **update_ref()** gets the hash of the commit that `refToUpdateTo`
-  // points at and sets `refToUpdate` to point at the same hash.
-  update_ref(refToUpdate, refToUpdateTo, _) {
+  // points at and sets `refToUpdate` to point at the same hash.  A tag
+  // ref can point at any object, including a tag object.  `-m` gives
+  // the reason for the update that is recorded in the log of the ref.
+  update_ref(refToUpdate, refToUpdateTo, opts) {
     Files.assertInRepo();
+    const { m: message = 'update-ref' } = opts || {};
 
     // Get the hash that `refToUpdateTo` points at.
-    const hash = Refs.hash(refToUpdateTo);
+    const isTag = /^refs\/tags\//.test(refToUpdate);
+    const hash = isTag ? Rev.parse(refToUpdateTo) : Rev.hash(refToUpdateTo);
 
     // Abort if `refToUpdateTo` does not point at a hash.
     if (!Objects.exists(hash)) {
@@ -698,18 +1874,53 @@ const Gitlet = {
     } else if (!Refs.isRef(refToUpdate)) {
       throw new Error(`cannot lock the ref ${refToUpdate}`);
 
+    // Abort if another ref is in the way of `refToUpdate`, like
+    // `refs/heads/feature` is in the way of `refs/heads/feature/login`.
+    } else if (Refs.conflictingRef(Refs.terminalRef(refToUpdate)) !== undefined) {
+      throw new Error(`cannot lock the ref ${Refs.terminalRef(refToUpdate)}: ${
+        Refs.conflictingRef(Refs.terminalRef(refToUpdate))} exists`);
+
     // Abort if `hash` points to an object in the `objects` directory
     // that is not a commit.
-    } else if (Objects.type(Objects.read(hash)) !== 'commit') {
+    } else if (!isTag && Objects.typeOf(hash) !== 'commit') {
       const branch = Refs.terminalRef(refToUpdate);
       throw new Error(`${branch} cannot refer to non-commit object ${hash}\n`);
 
     // Otherwise, set the contents of the file that the ref represents
     // to `hash`.
     } else {
-      Refs.write(Refs.terminalRef(refToUpdate), hash);
+      Refs.write(Refs.terminalRef(refToUpdate), hash, message);
     }
   },
+
+  // **rev_parse()** prints the hash of the object that the revision
+  // `rev` names (see the rev module).  If `rev` is a range, it prints
+  // the hashes of the commits to include, then the hashes of the
+  // commits to exclude, each with a `^` in front.  `--short` prints
+  // abbreviated hashes.
+  rev_parse(rev, opts) {
+    Files.assertInRepo();
+    const { short } = opts || {};
+
+    // Abort if `rev` was not passed.
+    if (rev === undefined) {
+      throw new Error('you must specify a revision');
+    }
+
+    // Abort if `rev` does not resolve.  A range is made of commits,
+    // so tags in it are followed.  Otherwise, the hash of a tag is
+    // printed, rather than the hash of what it tags.
+    const isRange = rev.indexOf('..') !== -1 || rev[0] === '^';
+    const range = isRange ? Rev.range(rev) : { include: [Rev.parse(rev)], exclude: [] };
+    if (range === undefined || range.include.indexOf(undefined) !== -1) {
+      throw new Error(`ambiguous argument '${rev}': unknown revision or path not in the working tree.`);
+    }
+
+    const format = hash => (short ? Log.abbrev(hash) : hash);
+    return `${range.include.map(format)
+      .concat(range.exclude.map(h => `^${format(h)}`))
+      .join('\n')}\n`;
+  },
 };
 
 
@@ -722,10 +1933,13 @@ const Gitlet = {
 
 // **parseOptions()** takes the `process.argv` object passed when
 // Gitlet.js is run as a script. It returns an object that contains
-// the parsed parameters to be formed into a Gitlet command.
+// the parsed parameters to be formed into a Gitlet command.  The
+// arguments after `--`, like paths, are not parsed.  They are put in
+// an array at `opts['--']`.
 const parseOptions = (argv) => {
   let name;
-  return argv.reduce((opts, arg) => {
+  const end = argv.indexOf('--');
+  const parsed = argv.slice(0, end === -1 ? undefined : end).reduce((opts, arg) => {
     if (arg.match(/^-/)) {
       name = arg.replace(/^-+/, '');
       opts[name] = true;
@@ -738,6 +1952,8 @@ const parseOptions = (argv) => {
 
     return opts;
   }, { _: [] });
+
+  return end === -1 ? parsed : Object.assign(parsed, { '--': argv.slice(end + 1) });
 };
 
 // **runCli()** takes the `process.argv` object passed when Gitlet.js
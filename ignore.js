@@ -0,0 +1,174 @@
+// Ignore module
+// -------------
+
+// Ignore files list the files in the working copy that Gitlet should
+// not track, like build output or dependencies.  Each directory can
+// have a `.gitletignore` file.  The repository can also have a local
+// exclude file, `.gitlet/info/exclude`, that is not committed.
+//
+// Each line of an ignore file is a pattern that uses the same syntax
+// as a `.gitignore` file:
+// - Blank lines and lines that start with `#` are skipped.
+// - `*` matches anything but a `/`, `?` matches one character that is
+//   not a `/` and `[a-z]` matches one character in the range.
+// - A pattern with no `/` matches a file or directory of that name in
+//   any directory below the ignore file, eg `*.log`.
+// - A pattern with a `/` at the start or in the middle only matches
+//   paths relative to the directory of the ignore file, eg `/build` or
+//   `doc/*.html`.
+// - A pattern that ends with `/` only matches directories, eg
+//   `node_modules/`.
+// - `**/` matches any number of directories, and a trailing `/**`
+//   matches everything inside a directory.
+// - A pattern that starts with `!` re-includes paths that an earlier
+//   pattern ignored.
+//
+// Patterns in ignore files in deeper directories take precedence over
+// those in shallower ones, which take precedence over the exclude
+// file.  Within a file, the last pattern that matches wins.  A file
+// cannot be re-included if a directory that contains it is ignored.
+
+const fs = require('fs');
+const nodePath = require('path');
+const Files = require('./files');
+
+const Ignore = {
+  FILENAME: '.gitletignore',
+
+  // **parse()** returns the rules in `content`, the content of the
+  // ignore file `source`.  `base` is the directory, relative to the
+  // root of the repository, that the patterns apply to.
+  parse(content, base, source) {
+    return content.split('\n').reduce((rules, text, i) => {
+      const pattern = text.replace(/\r$/, '').replace(/([^\\\s])\s+$/, '$1');
+      if (pattern.match(/^\s*$/) || pattern.match(/^#/)) {
+        return rules;
+      }
+
+      const negate = pattern[0] === '!';
+      const glob = pattern.replace(/^!/, '').replace(/^\\([#!])/, '$1');
+      const dirOnly = glob.match(/\/$/) !== null;
+      const trimmed = glob.replace(/\/$/, '');
+      const anchored = trimmed.indexOf('/') !== -1;
+      return rules.concat({
+        source,
+        line: i + 1,
+        pattern,
+        base,
+        negate,
+        dirOnly,
+        regex: Ignore.toRegex(anchored ? trimmed.replace(/^\//, '') : `**/${trimmed}`),
+      });
+    }, []);
+  },
+
+  // **toRegex()** returns a regular expression that matches the paths
+  // that `glob` matches.
+  toRegex(glob) {
+    const escape = c => c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    let str = '';
+    let i = 0;
+    while (i < glob.length) {
+      const close = glob.indexOf(']', i + 2);
+      if (glob.startsWith('**/', i) && (i === 0 || glob[i - 1] === '/')) {
+        str += '(?:.*/)?';
+        i += 3;
+      } else if (glob.startsWith('/**', i) && i + 3 === glob.length) {
+        str += '/.*';
+        i += 3;
+      } else if (glob[i] === '*') {
+        str += '[^/]*';
+        i += 1;
+      } else if (glob[i] === '?') {
+        str += '[^/]';
+        i += 1;
+      } else if (glob[i] === '[' && close !== -1) {
+        str += `[${glob.slice(i + 1, close).replace(/^!/, '^')}]`;
+        i = close + 1;
+      } else if (glob[i] === '\\' && i + 1 < glob.length) {
+        str += escape(glob[i + 1]);
+        i += 2;
+      } else {
+        str += escape(glob[i]);
+        i += 1;
+      }
+    }
+
+    return new RegExp(`^${str}$`);
+  },
+
+  // **rules()** returns the rules that apply to paths in the directory
+  // `dir`, relative to the root of the repository, in order of
+  // precedence, lowest first.
+  rules(dir) {
+    const dirs = dir === '' ? [''] : [''].concat(dir.split('/')
+      .map((d, i, parts) => parts.slice(0, i + 1).join('/')));
+
+    // **read()** returns the rules in the ignore file at `path`,
+    // relative to the root of the repository, if there is one.
+    function read(path, base) {
+      const absolutePath = Files.workingCopyPath(path);
+      return fs.existsSync(absolutePath) && fs.statSync(absolutePath).isFile()
+        ? Ignore.parse(Files.read(absolutePath), base, path)
+        : [];
+    }
+
+    return [].concat(read('.gitlet/info/exclude', ''),
+      ...dirs.map(d => read(d === '' ? Ignore.FILENAME : `${d}/${Ignore.FILENAME}`, d)));
+  },
+
+  // **match()** returns the last rule that matches `path`, relative to
+  // the root of the repository.  `isDir` says whether `path` is a
+  // directory.  It returns `undefined` if no rule matches.
+  match(path, isDir) {
+    const dir = path.indexOf('/') === -1 ? '' : path.slice(0, path.lastIndexOf('/'));
+    return Ignore.rules(dir)
+      .filter(r => r.base === '' || path.startsWith(`${r.base}/`))
+      .filter(r => isDir || !r.dirOnly)
+      .filter(r => r.regex.test(r.base === '' ? path : path.slice(r.base.length + 1)))
+      .pop();
+  },
+
+  // **explain()** returns the rule that decides whether `path` is
+  // ignored.  That is the rule that ignores a directory that contains
+  // `path`, if there is one, or else the last rule that matches
+  // `path`.  It returns `undefined` if no rule matches.
+  explain(path, isDir) {
+    const parts = path.split('/');
+    const dirRule = parts.slice(0, -1)
+      .map((p, i) => Ignore.match(parts.slice(0, i + 1).join('/'), true))
+      .filter(r => r !== undefined && !r.negate)[0];
+    return dirRule || (path === '' ? undefined : Ignore.match(path, isDir));
+  },
+
+  // **isIgnored()** returns true if `path`, relative to the root of
+  // the repository, is ignored.  The `.gitlet` directory is always
+  // ignored.
+  isIgnored(path, isDir) {
+    const rule = Ignore.explain(path, isDir);
+    return path.split('/').indexOf('.gitlet') !== -1 || (rule !== undefined && !rule.negate);
+  },
+
+  // **lsRecursive()** is like `Files.lsRecursive()`, except it leaves
+  // out the files that are ignored, and does not look inside ignored
+  // directories.  If `all` is true, only the `.gitlet` directory is
+  // left out.
+  lsRecursive(path, all) {
+    if (!Files.lexists(path)) {
+      return [];
+    }
+
+    const isDir = fs.lstatSync(path).isDirectory();
+    const pathFromRoot = Files.pathFromRepoRoot(path).split(nodePath.sep).join('/');
+    if (all ? nodePath.basename(path) === '.gitlet' : Ignore.isIgnored(pathFromRoot, isDir)) {
+      return [];
+    } if (isDir) {
+      return fs.readdirSync(path)
+        .reduce((fileList, dirChild) => fileList
+          .concat(Ignore.lsRecursive(nodePath.join(path, dirChild), all)), []);
+    }
+    return [path];
+  },
+};
+
+module.exports = Ignore;
@@ -7,6 +7,21 @@
 // Index entry keys are actually a `path,stage` combination.  Stage is
 // always `0`, unless the entry is about a file that is in conflict.
 // See `Index.writeConflict()` for more details.
+//
+// The index is stored in `.gitlet/index` in the same format Git uses
+// (version 2).  It starts with a header of `DIRC`, the version and the
+// number of entries.  Each entry holds the stat data of the file at the
+// time it was last hashed (its ctime, mtime, device, inode, mode,
+// owner and size), the hash, the stage and the path.  The mode is
+// `100644` for a regular file, `100755` for an executable file and
+// `120000` for a symlink.  The file ends
+// with a checksum of everything before it.  The stat data means that
+// `workingCopyToc()` only has to hash the files that have changed.
+//
+// Repositories made by older versions of Gitlet store the index as
+// lines of `path stage hash`.  These can still be read.  They are
+// written in the same way if any hash is not of the length the
+// repository now uses.
 const fs = require('fs');
 const Files = require('./files');
 const Objects = require('./objects');
@@ -19,15 +34,69 @@ const Index = {
     return Index.read()[Index.key(path, stage)] !== undefined;
   },
 
+  // The stat data stored for each entry, in the order it is stored.
+  STAT_FIELDS: ['ctimeSec', 'ctimeNsec', 'mtimeSec', 'mtimeNsec', 'dev', 'ino',
+    'mode', 'uid', 'gid', 'size'],
+
   // **read()** returns the index as a JS object.
   read() {
+    return Index.readEntries()
+      .reduce((idx, e) => Util.setIn(idx, [Index.key(e.path, e.stage), e.hash]), {});
+  },
+
+  // **readEntries()** returns an array of the entries in the index,
+  // like `{ path: "file1", stage: 0, hash: hash(1), mode: "100644",
+  // stat: { ... } }`.  `stat` is `undefined` if the file has not been
+  // hashed since its entry was written.
+  readEntries() {
     const indexFilePath = Files.gitletPath('index');
-    return Util.lines(fs.existsSync(indexFilePath) ? Files.read(indexFilePath) : '\n')
-      .reduce((idx, blobStr) => {
-        const blobData = blobStr.split(/ /);
-        idx[Index.key(blobData[0], blobData[1])] = blobData[2];
-        return idx;
-      }, {});
+    if (!fs.existsSync(indexFilePath)) {
+      return [];
+    }
+
+    // Read an index written by an older version of Gitlet.
+    const data = fs.readFileSync(indexFilePath);
+    if (data.toString('utf8', 0, 4) !== 'DIRC') {
+      return Util.lines(data.toString()).map((line) => {
+        const pieces = line.split(/ /);
+        return {
+          path: pieces[0], stage: parseInt(pieces[1], 10), hash: pieces[2], mode: '100644',
+        };
+      });
+    }
+
+    const algorithm = Objects.hashAlgorithm();
+    const hashLength = Objects.hashLength(algorithm);
+    const body = data.slice(0, data.length - hashLength);
+    if (Util.hash(body, algorithm) !== data.toString('hex', body.length)) {
+      throw new Error('index file corrupt');
+    } else if (data.readUInt32BE(4) !== 2) {
+      throw new Error(`index file version ${data.readUInt32BE(4)} is not supported`);
+    }
+
+    const entries = [];
+    let offset = 12;
+    for (let i = 0; i < data.readUInt32BE(8); i += 1) {
+      const start = offset;
+      const stat = Index.STAT_FIELDS
+        .reduce((o, f, j) => Util.setIn(o, [f, data.readUInt32BE(start + j * 4)]), {});
+      const flags = data.readUInt16BE(offset + 40 + hashLength);
+      const pathStart = offset + 42 + hashLength;
+      const pathEnd = data.indexOf(0, pathStart);
+      entries.push({
+        path: data.toString('utf8', pathStart, pathEnd),
+        stage: Math.floor(flags / 0x1000) % 4,
+        hash: data.toString('hex', offset + 40, offset + 40 + hashLength),
+        mode: stat.mode.toString(8),
+        stat: stat.mtimeSec === 0 && stat.mtimeNsec === 0 ? undefined : stat,
+      });
+
+      // Each entry is padded with one to eight NULs, so its length is
+      // a multiple of eight.
+      offset += Math.floor((pathEnd - offset + 8) / 8) * 8;
+    }
+
+    return entries;
   },
 
   // **key()** returns an index key made from `path` and `stage`.
@@ -39,7 +108,7 @@ const Index = {
   // stage of 'key`.
   keyPieces(key) {
     const pieces = key.split(/,/);
-    return { path: pieces[0], stage: parseInt(pieces[1]) };
+    return { path: pieces[0], stage: parseInt(pieces[1], 10) };
   },
 
   // **toc()** returns an object that maps file paths to hashes of
@@ -57,6 +126,22 @@ const Index = {
     return Index.hasFile(path, 2);
   },
 
+  // **modes()** returns an object that maps the path of each file in
+  // the index to its mode.
+  modes() {
+    return Index.readEntries()
+      .reduce((modes, e) => Util.setIn(modes, [e.path, e.mode]), {});
+  },
+
+  // **workingCopyModes()** returns an object that maps the path of
+  // each file in the index that is in the working copy to the mode of
+  // the file in the working copy.
+  workingCopyModes() {
+    return Object.keys(Index.toc())
+      .filter(p => Files.lexists(Files.workingCopyPath(p)))
+      .reduce((modes, p) => Util.setIn(modes, [p, Files.mode(Files.workingCopyPath(p))]), {});
+  },
+
   // **conflictedPaths()** returns an array of all the paths of files
   // that are in conflict.
   conflictedPaths() {
@@ -68,14 +153,10 @@ const Index = {
 
   // **writeNonConflict()** sets a non-conflicting index entry for the
   // file at `path` to the hash of `content`.  (If the file was in
-  // conflict, it is set to be no longer in conflict.)
-  writeNonConflict(path, content) {
-    // Remove all keys for the file from the Index.
-    Index.writeRm(path);
-
-    // Write a key for `path` at stage `0` to indicate that the
-    // file is not in conflict.
-    Index._writeStageEntry(path, 0, content);
+  // conflict, it is set to be no longer in conflict.)  `stat` is the
+  // stat data of the file, if `content` was read from it.
+  writeNonConflict(path, content, stat) {
+    Index.writeChanges([{ path, content, stat }]);
   },
 
   // **writeConflict()** sets an index entry for the file
@@ -85,18 +166,9 @@ const Index = {
   // `baseContent` is the version that the receiver and
   // giver both descended from.
   writeConflict(path, receiverContent, giverContent, baseContent) {
-    if (baseContent !== undefined) {
-      // Write a key for `path` at stage `1` for `baseContent`.
-      // (There is no `baseContent` if the same file was added for the
-      // first time by both versions being merged.)
-      Index._writeStageEntry(path, 1, baseContent);
-    }
-
-    // Write a key for `path` at stage `2` for `receiverContent`.
-    Index._writeStageEntry(path, 2, receiverContent);
-
-    // Write a key for `path` at stage `3` for `giverContent`.
-    Index._writeStageEntry(path, 3, giverContent);
+    Index.writeChanges([{
+      path, receiverContent, giverContent, baseContent,
+    }]);
   },
 
   // **writeRm()** removes the index entry for the file at `path`.
@@ -104,38 +176,192 @@ const Index = {
   // conflict.  (See `Index.writeConflict()` for more information on
   // conflicts.)
   writeRm(path) {
-    const idx = Index.read();
-    [0, 1, 2, 3].forEach((stage) => { delete idx[Index.key(path, stage)]; });
-    Index.write(idx);
+    Index.writeChanges([{ path }]);
   },
 
-  // **_writeStageEntry()** adds the hashed `content` to the index at
-  // key `path,stage`.
-  _writeStageEntry(path, stage, content) {
-    const idx = Index.read();
-    idx[Index.key(path, stage)] = Objects.write(content);
-    Index.write(idx);
+  // **writeChanges()** makes the changes in the array `changes` to
+  // the index, reading and writing it once, however many files are
+  // changed.  Each change replaces all the entries for a file:
+  // - `{ path, content, stat }` sets a non-conflicting entry, like
+  //   `writeNonConflict()`.
+  // - `{ path, receiverContent, giverContent, baseContent }` sets the
+  //   entries of a conflict, like `writeConflict()`.
+  // - `{ path }` removes the file, like `writeRm()`.
+  writeChanges(changes) {
+    const entries = Index.readEntries()
+      .reduce((o, e) => Util.setIn(o, [Index.key(e.path, e.stage), e]), {});
+
+    changes.forEach((c) => {
+      const previous = [0, 1, 2, 3].map(stage => entries[Index.key(c.path, stage)])
+        .filter(e => e !== undefined)[0];
+      [0, 1, 2, 3].forEach((stage) => { delete entries[Index.key(c.path, stage)]; });
+
+      // **writeStage()** adds the hashed `content` at stage `stage`.
+      // If `content` was read from the file, `stat` is the stat data
+      // of the file, taken before it was read, and the entry gets the
+      // mode of the file.  Otherwise, the entry keeps the mode the
+      // file already had in the index.
+      function writeStage(stage, content, stat) {
+        Util.setIn(entries, [Index.key(c.path, stage), {
+          path: c.path,
+          stage,
+          hash: Objects.write(content),
+          mode: stat !== undefined ? stat.mode.toString(8) : (previous && previous.mode) || '100644',
+          stat,
+        }]);
+      }
+
+      if (c.content !== undefined) {
+        writeStage(0, c.content, c.stat);
+      } else if (c.receiverContent !== undefined || c.giverContent !== undefined) {
+        // (There is no `baseContent` if the same file was added for
+        // the first time by both versions being merged.)
+        if (c.baseContent !== undefined) {
+          writeStage(1, c.baseContent);
+        }
+
+        writeStage(2, c.receiverContent);
+        writeStage(3, c.giverContent);
+      }
+    });
+
+    Index.writeEntries(Object.keys(entries).map(k => entries[k]));
   },
 
   // **write()** takes a JS object that represents an index and writes
-  // it to `.gitlet/index`.
-  write(index) {
-    const indexStr = `${Object.keys(index)
-      .map(k => `${k.split(',')[0]} ${k.split(',')[1]} ${index[k]}`)
-      .join('\n')}\n`;
-    Files.write(Files.gitletPath('index'), indexStr);
+  // it to `.gitlet/index`.  `modes` maps file paths to the modes
+  // their entries should have.  A file that is not in `modes` keeps
+  // the mode it already had in the index, or else is a regular file.
+  // The stat data of an entry is kept if its hash and mode have not
+  // changed.
+  write(index, modes = {}) {
+    const previous = Index.readEntries()
+      .reduce((o, e) => Util.setIn(o, [Index.key(e.path, e.stage), e]), {});
+    const previousModes = Index.modes();
+    Index.writeEntries(Object.keys(index).map((k) => {
+      const { path, stage } = Index.keyPieces(k);
+      const mode = modes[path] || previousModes[path] || '100644';
+      const kept = previous[k] !== undefined && previous[k].hash === index[k]
+        && previous[k].mode === mode;
+      return {
+        path, stage, hash: index[k], mode, stat: kept ? previous[k].stat : undefined,
+      };
+    }));
+  },
+
+  // **writeEntries()** writes the array of index entries `entries`
+  // (see `readEntries()`) to `.gitlet/index`.
+  writeEntries(entries) {
+    const algorithm = Objects.hashAlgorithm();
+    const hashLength = Objects.hashLength(algorithm);
+    const sorted = entries.slice().sort((a, b) => Buffer
+      .compare(Buffer.from(a.path), Buffer.from(b.path)) || a.stage - b.stage);
+
+    // Write the index like an older version of Gitlet if it has
+    // hashes from an older version of Gitlet.
+    if (sorted.filter(e => e.hash.length !== hashLength * 2).length > 0) {
+      Files.write(Files.gitletPath('index'),
+        `${sorted.map(e => `${e.path} ${e.stage} ${e.hash}`).join('\n')}\n`);
+      return;
+    }
+
+    const header = Buffer.alloc(12);
+    header.write('DIRC', 0);
+    header.writeUInt32BE(2, 4);
+    header.writeUInt32BE(sorted.length, 8);
+
+    const body = Buffer.concat([header].concat(sorted.map((e) => {
+      const path = Buffer.from(e.path);
+      const stat = Object.assign(Index.STAT_FIELDS.reduce((o, f) => Util.setIn(o, [f, 0]), {}),
+        e.stat, { mode: parseInt(e.mode || '100644', 8) });
+      const entry = Buffer.alloc(Math.floor((42 + hashLength + path.length + 8) / 8) * 8);
+      Index.STAT_FIELDS.forEach((f, i) => { entry.writeUInt32BE(stat[f], i * 4); });
+      entry.write(e.hash, 40, 'hex');
+      entry.writeUInt16BE(e.stage * 0x1000 + Math.min(path.length, 0xfff), 40 + hashLength);
+      path.copy(entry, 42 + hashLength);
+      return entry;
+    })));
+
+    Files.write(Files.gitletPath('index'),
+      Buffer.concat([body, Buffer.from(Util.hash(body, algorithm), 'hex')]));
+  },
+
+  // **statData()** takes `stat`, the result of `fs.lstatSync()` for a
+  // file, and returns the stat data stored in an index entry.  Each
+  // field is cut down to 32 bits, like Git does.  The mode is recorded
+  // as a symlink, or as a regular file that is or is not executable.
+  statData(stat) {
+    const executable = Math.floor(stat.mode / 0o100) % 2 === 1;
+    const uint32 = n => Math.floor(n) % 0x100000000;
+    return {
+      ctimeSec: uint32(stat.ctimeMs / 1000),
+      ctimeNsec: uint32((stat.ctimeMs % 1000) * 1e6),
+      mtimeSec: uint32(stat.mtimeMs / 1000),
+      mtimeNsec: uint32((stat.mtimeMs % 1000) * 1e6),
+      dev: uint32(stat.dev),
+      ino: uint32(stat.ino),
+      mode: (stat.isSymbolicLink() && 0o120000) || (executable ? 0o100755 : 0o100644),
+      uid: uint32(stat.uid),
+      gid: uint32(stat.gid),
+      size: uint32(stat.size),
+    };
+  },
+
+  // **isFresh()** returns true if the content of a file is known to
+  // still have the hash in its index `entry`, because the file's
+  // current stat data `stat` matches the stat data in the entry.
+  //
+  // If the file was changed in the same moment that the index was
+  // written, it might have been changed again after it was hashed
+  // without its stat data changing.  So an entry with an mtime that is
+  // not older than the index file, `indexMtime`, is never fresh.
+  isFresh(entry, stat, indexMtime) {
+    return entry.stat !== undefined
+        && ['ctimeSec', 'ctimeNsec', 'mtimeSec', 'mtimeNsec', 'ino', 'mode', 'size']
+          .filter(f => entry.stat[f] !== stat[f]).length === 0
+        && entry.stat.mtimeSec * 1000 + entry.stat.mtimeNsec / 1e6 < indexMtime;
   },
 
   // **workingCopyToc()** returns an object that maps the file paths
-  // in the working copy to hashes of those files' content.
+  // in the working copy to hashes of those files' content.  Only the
+  // files that are not fresh (see `isFresh()`) are hashed.  If a file
+  // turns out to be unchanged, the stat data in its index entry is
+  // updated, so it will not need to be hashed next time.
   workingCopyToc() {
-    return Object.keys(Index.read())
-      .map(k => k.split(',')[0])
-      .filter(p => fs.existsSync(Files.workingCopyPath(p)))
-      .reduce((idx, p) => {
-        idx[p] = Util.hash(Files.read(Files.workingCopyPath(p)));
-        return idx;
+    const indexFilePath = Files.gitletPath('index');
+    const indexMtime = fs.existsSync(indexFilePath) ? fs.statSync(indexFilePath).mtimeMs : 0;
+    const entries = Index.readEntries();
+    let refreshed = false;
+
+    // A file in conflict has an entry for each stage.  Only the
+    // lowest is used.
+    const lowestStage = entries.reduce((o, e) => Util.setIn(o, [e.path,
+      o[e.path] === undefined ? e.stage : Math.min(o[e.path], e.stage)]), {});
+    const toc = entries
+      .filter(e => e.stage === lowestStage[e.path])
+      .filter(e => Files.lexists(Files.workingCopyPath(e.path)))
+      .reduce((idx, e) => {
+        const path = Files.workingCopyPath(e.path);
+        const stat = Index.statData(fs.lstatSync(path));
+        if (e.stage === 0 && Index.isFresh(e, stat, indexMtime)) {
+          return Util.setIn(idx, [e.path, e.hash]);
+        }
+
+        // A file whose entry was written by an older version of Gitlet
+        // is hashed the same way, so it can be compared.
+        const content = Files.readBlob(path);
+        const hash = Objects.isLegacy(e.hash) ? Util.hash(content, 'md5') : Objects.hash(content);
+        if (e.stage === 0 && hash === e.hash && stat.mode.toString(8) === e.mode) {
+          e.stat = stat;
+          refreshed = true;
+        }
+        return Util.setIn(idx, [e.path, hash]);
       }, {});
+
+    if (refreshed) {
+      Index.writeEntries(entries);
+    }
+    return toc;
   },
 
   // **tocToIndex()** takes an object that maps file paths to hashes
@@ -0,0 +1,246 @@
+// Log module
+// ----------
+
+// Walks the commit graph and formats commits for display.  The walk
+// always returns commits newest first, and never lists a commit
+// before any of its children, so the output can be drawn as a graph.
+
+const Objects = require('./objects');
+const Util = require('./util');
+
+const Log = {
+
+  // **reachable()** returns an array of the hashes of the commits in
+  // `hashes` and all of their ancestors.  Each commit appears once.
+  reachable(hashes) {
+    const seen = {};
+    const toVisit = hashes.filter(h => h !== undefined);
+    while (toVisit.length > 0) {
+      const hash = toVisit.pop();
+      if (!seen[hash]) {
+        seen[hash] = true;
+        Objects.parentHashes(Objects.read(hash)).forEach((p) => { toVisit.push(p); });
+      }
+    }
+
+    return Object.keys(seen);
+  },
+
+  // **revList()** returns the hashes of the commits reachable from
+  // `includeHashes`, but not reachable from `excludeHashes`.  They
+  // are ordered newest first, with every commit listed before its
+  // parents.
+  revList(includeHashes, excludeHashes = []) {
+    const excluded = Log.reachable(excludeHashes).reduce((o, h) => Util.setIn(o, [h, true]), {});
+    const hashes = Log.reachable(includeHashes).filter(h => !excluded[h]);
+    const listed = hashes.reduce((o, h) => Util.setIn(o, [h, true]), {});
+    const parents = hashes.reduce((o, h) => Util.setIn(o, [h, Objects
+      .parentHashes(Objects.read(h))
+      .filter(p => listed[p])]), {});
+    const dates = hashes
+      .reduce((o, h) => Util.setIn(o, [h, Objects.commitDate(Objects.read(h)).getTime()]), {});
+
+    // Count the children each commit has in the list.  A commit is
+    // ready to be listed once all of its children have been listed.
+    const childCount = hashes.reduce((o, h) => Util.setIn(o, [h, 0]), {});
+    hashes.forEach((h) => { parents[h].forEach((p) => { childCount[p] += 1; }); });
+
+    const ready = hashes.filter(h => childCount[h] === 0);
+    const list = [];
+    while (ready.length > 0) {
+      const newest = ready.reduce((n, h, i) => (dates[h] > dates[ready[n]] ? i : n), 0);
+      const hash = ready.splice(newest, 1)[0];
+      list.push(hash);
+      parents[hash].forEach((p) => {
+        childCount[p] -= 1;
+        if (childCount[p] === 0) {
+          ready.push(p);
+        }
+      });
+    }
+
+    return list;
+  },
+
+  // **newCommits()** returns the hashes of the commits reachable from
+  // `wantHashes` that are not reachable from `haveHashes`.  Unlike
+  // `revList()`, it does not walk the whole history of `haveHashes`.
+  // It walks back from all the commits at once, newest first, marking
+  // the ancestors of `haveHashes` as had.  It stops as soon as every
+  // commit still to be walked is had.  So the work done is in
+  // proportion to the number of new commits, rather than to the
+  // length of the history.  Tag objects in `haveHashes` are followed
+  // to the commits they tag.  Hashes of other objects are left out.
+  newCommits(wantHashes, haveHashes) {
+    const had = {};
+    const dates = {};
+    const toWalk = [];
+
+    // **mark()** records whether `hash` is had.  A commit that is
+    // reachable from a had commit is had, too.  It is queued to be
+    // walked if this is the first time it was seen, or if it has just
+    // turned out to be had.
+    function mark(hash, isHad) {
+      if (had[hash] === undefined || (isHad && !had[hash])) {
+        had[hash] = isHad;
+        dates[hash] = dates[hash] || Objects.commitDate(Objects.read(hash)).getTime();
+        toWalk.push(hash);
+      }
+    }
+
+    haveHashes.map(Objects.peel)
+      .filter(h => Objects.typeOf(h) === 'commit')
+      .forEach((h) => { mark(h, true); });
+    wantHashes.forEach((h) => { mark(h, false); });
+
+    while (toWalk.filter(h => !had[h]).length > 0) {
+      const newest = toWalk.reduce((n, h, i) => (dates[h] > dates[toWalk[n]] ? i : n), 0);
+      const hash = toWalk.splice(newest, 1)[0];
+      Objects.parentHashes(Objects.read(hash)).forEach((p) => { mark(p, had[hash]); });
+    }
+
+    return Object.keys(had).filter(h => had[h] === false);
+  },
+
+  // **format()** returns an array of lines that describe the commit
+  // `hash`.  If `oneline` is true, it returns a single line made of
+  // the abbreviated hash and the first line of the message.
+  format(hash, oneline) {
+    const commit = Objects.read(hash);
+    const message = Objects.commitMessage(commit);
+    if (oneline) {
+      return [`${Log.abbrev(hash)} ${message.split('\n')[0]}`];
+    }
+
+    const parents = Objects.parentHashes(commit);
+    const author = Objects.commitSignature(commit, 'author');
+    return [`commit ${hash}`]
+      .concat(parents.length > 0 ? [`Parents: ${parents.join(' ')}`] : [])
+      .concat(author === undefined
+        ? [`Date:   ${Objects.commitDate(commit).toString()}`, '']
+        : [`Author: ${author.name} <${author.email}>`,
+          `Date:   ${Log.formatDate(author.time, author.tz)}`, ''])
+      .concat(message.split('\n').map(l => `    ${l}`))
+      .concat(['']);
+  },
+
+  // **formatDate()** formats `time`, in seconds since the epoch, as it
+  // was in the timezone `tz`, like `Mon Jan 1 00:00:00 2018 +0100`.
+  formatDate(time, tz) {
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const offset = (tz[0] === '-' ? -1 : 1)
+      * (parseInt(tz.slice(1, 3), 10) * 60 + parseInt(tz.slice(3), 10));
+    const d = new Date((time + offset * 60) * 1000);
+    const clock = [d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds()]
+      .map(n => `${n}`.padStart(2, '0')).join(':');
+    return `${days[d.getUTCDay()]} ${months[d.getUTCMonth()]} ${d.getUTCDate()} ${clock} ${
+      d.getUTCFullYear()} ${tz}`;
+  },
+
+  // **abbrev()** returns the short form of `hash` used in one line
+  // summaries.
+  abbrev(hash) {
+    return hash.slice(0, 7);
+  },
+
+  // **graph()** takes `hashes`, an array ordered like the output of
+  // `revList()`, and `linesFn`, which returns the lines of text for a
+  // commit.  It returns the lines of text with an ASCII drawing of the
+  // commit graph down their left side.  Each line of descent gets a
+  // column.  A merge commit opens a new column for each of its extra
+  // parents, and two columns close into one when they reach the same
+  // commit.
+  graph(hashes, linesFn) {
+    const listed = hashes.reduce((o, h) => Util.setIn(o, [h, true]), {});
+
+    // `columns` holds the hash of the commit each column is waiting
+    // to reach.
+    let columns = [];
+
+    // **row()** draws one row of the column lines.  The column at
+    // `starIndex` is drawn as a `*`.
+    function row(cols, starIndex) {
+      return cols.map((c, i) => (i === starIndex ? '*' : '|')).join(' ');
+    }
+
+    // **pad()** pads a graph row so the text to its right lines up.
+    function pad(str, width) {
+      return str + ' '.repeat(Math.max(width - str.length, 0) + 1);
+    }
+
+    // **transitionRows()** draws the rows that take each edge from
+    // the column it leaves, `from`, to the column it reaches, `to`.
+    // Like Git, an edge moves one column per row, with a `\` or a
+    // `/`.  Edges that move right, the new columns of a merge, are
+    // drawn first.  Edges that move left, columns that close, are
+    // drawn after them, so the two never cross in the same row.
+    function transitionRows(edges, width) {
+      const pos = edges.map(e => e.from);
+
+      // **step()** draws one row, moving the edges that `moves` picks
+      // one column closer to where they are going.
+      function step(moves) {
+        const chars = Array(width).fill(' ');
+        edges.forEach((e, i) => {
+          if (moves(e, pos[i])) {
+            const dir = e.to > pos[i] ? 1 : -1;
+            chars[pos[i] * 2 + dir] = dir > 0 ? '\\' : '/';
+            pos[i] += dir;
+          } else {
+            chars[pos[i] * 2] = '|';
+          }
+        });
+        return chars.join('').replace(/\s+$/, '');
+      }
+
+      const rows = [];
+      while (edges.some((e, i) => e.to > pos[i])) {
+        rows.push(step((e, p) => e.to > p));
+      }
+
+      while (edges.some((e, i) => e.to < pos[i])) {
+        rows.push(step((e, p) => e.to < p));
+      }
+
+      return rows;
+    }
+
+    return hashes.reduce((out, hash) => {
+      if (columns.indexOf(hash) === -1) {
+        columns.push(hash);
+      }
+
+      const index = columns.indexOf(hash);
+      const parents = Objects.parentHashes(Objects.read(hash)).filter(p => listed[p]);
+
+      // Work out the columns after this commit.  The column of this
+      // commit continues to its first parent.  Extra parents get new
+      // columns to its right.  Columns waiting for the same commit
+      // are joined.
+      const targets = columns.map((c, i) => (i === index ? parents : [c]));
+      const next = Util.unique(Util.flatten(targets));
+      const edges = Util.flatten(targets
+        .map((ts, from) => ts.map(t => ({ from, to: next.indexOf(t) }))));
+
+      // Draw rows of `\` and `/` after the commit's lines if any
+      // column moves, or a row of `|` if a column just ends.
+      const width = Math.max(columns.length, next.length) * 2 - 1;
+      const moves = transitionRows(edges, width);
+      const transition = moves.length === 0 && next.length < columns.length
+        ? [row(next)]
+        : moves;
+
+      const lines = linesFn(hash);
+      const commitRow = pad(row(columns, index), width) + lines[0];
+      const restRows = lines.slice(1)
+        .map(l => `${pad(row(columns), width)}${l}`.replace(/\s+$/, ''));
+
+      columns = next;
+      return out.concat([commitRow.replace(/\s+$/, '')], restRows, transition);
+    }, []);
+  },
+};
+
+module.exports = Log;
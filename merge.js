@@ -2,6 +2,7 @@
 // Merge module
 // ------------
 
+const fs = require('fs');
 const Files = require('./files');
 const Config = require('./config');
 const Diff = require('./diff');
@@ -9,17 +10,110 @@ const Refs = require('./refs');
 const Objects = require('./objects');
 const WorkingCopy = require('./workingCopy');
 const Index = require('./index');
+const Log = require('./log');
 const Util = require('./util');
+const TextDiff = require('./textDiff');
 
 const Merge = {
 
-  // **commonAncestor()** returns the hash of the commit that is the
-  // most recent common ancestor of `aHash` and `bHash`.
+  // **mergeBases()** returns the hashes of the best common ancestors
+  // of the commits `aHash` and `bHash`.  These are the commits that
+  // `aHash` and `bHash` both descend from, or are, that are not
+  // ancestors of any other such commit.  There is usually one, but
+  // criss-cross merges can leave more.  Like `Log.newCommits()`, it
+  // walks back from both commits at once, newest first, marking each
+  // commit with the sides it can be reached from.  A commit reached
+  // from both sides is a candidate, and its ancestors are marked as
+  // stale.  The walk stops as soon as every commit still to be walked
+  // is stale.  Candidates that turn out to be ancestors of other
+  // candidates are left out.
+  mergeBases(aHash, bHash) {
+    if (aHash === undefined || bHash === undefined) {
+      return [];
+    }
+
+    const flags = {};
+    const dates = {};
+    const toWalk = [];
+    const queued = {};
+    const candidates = [];
+
+    // **mark()** adds the flags in `add` to the flags of `hash`.  It
+    // is queued to be walked if this is the first time it was seen,
+    // or if it has just gained a flag.
+    function mark(hash, add) {
+      const old = flags[hash] || {};
+      if (flags[hash] === undefined || ['a', 'b', 'stale'].some(f => add[f] && !old[f])) {
+        flags[hash] = { a: old.a || add.a, b: old.b || add.b, stale: old.stale || add.stale };
+        dates[hash] = dates[hash] || Objects.commitDate(Objects.read(hash)).getTime();
+        if (!queued[hash]) {
+          queued[hash] = true;
+          toWalk.push(hash);
+        }
+      }
+    }
+
+    mark(aHash, { a: true });
+    mark(bHash, { b: true });
+
+    while (toWalk.some(h => !flags[h].stale)) {
+      const newest = toWalk.reduce((n, h, i) => (dates[h] > dates[toWalk[n]] ? i : n), 0);
+      const hash = toWalk.splice(newest, 1)[0];
+      queued[hash] = false;
+
+      // A candidate is only walked once while it is not stale, so it
+      // is only added once.
+      const isCandidate = flags[hash].a && flags[hash].b && !flags[hash].stale;
+      if (isCandidate) {
+        candidates.push(hash);
+      }
+
+      Objects.parentHashes(Objects.read(hash))
+        .forEach((p) => { mark(p, isCandidate ? { stale: true } : flags[hash]); });
+    }
+
+    const found = candidates.filter(h => !flags[h].stale);
+    return found.filter(h => !found.some(o => o !== h && Objects.isAncestor(o, h)));
+  },
+
+  // **commonAncestor()** returns the hash of the commit to use as the
+  // base of a merge of `aHash` and `bHash`.  That is their best common
+  // ancestor or, if they have more than one, a virtual ancestor made
+  // by merging them (see `virtualAncestor()`).
   commonAncestor(aHash, bHash) {
-    [aHash, bHash] = [aHash, bHash].sort();
-    const aAncestors = [aHash].concat(Objects.ancestors(aHash));
-    const bAncestors = [bHash].concat(Objects.ancestors(bHash));
-    return Util.intersection(aAncestors, bAncestors)[0];
+    const bases = Merge.mergeBases(aHash, bHash);
+    return bases.length > 1 ? Merge.virtualAncestor(bases) : bases[0];
+  },
+
+  // **virtualAncestor()** is the recursive strategy.  It merges the
+  // commits `baseHashes` one by one into a single commit that stands
+  // in for them as the base of a merge.  Each of these merges uses
+  // the common ancestor of its own two commits, so it can recurse.
+  // Conflicting regions are kept with their conflict markers.  The
+  // merged commit is written to the objects database, but no ref
+  // points at it.
+  virtualAncestor(baseHashes) {
+    return baseHashes.reduce((aHash, bHash) => {
+      const dif = Merge.mergeDiff(aHash, bHash);
+      const merged = Object.keys(dif)
+        .filter(p => dif[p].status !== Diff.FILE_STATUS.DELETE && dif[p].giver !== undefined)
+        .reduce((toc, p) => {
+          if (dif[p].status !== Diff.FILE_STATUS.CONFLICT) {
+            return Util.setIn(toc, [p, dif[p].giver]);
+          } if (Diff.isBinary(dif, p)) {
+            return Util.setIn(toc, [p, dif[p].receiver]);
+          }
+          const { content } = TextDiff.mergeBuffers(Objects.readBuffer(dif[p].base),
+            Objects.readBuffer(dif[p].receiver),
+            Objects.readBuffer(dif[p].giver),
+            { receiverName: 'Temporary merge branch 1', giverName: 'Temporary merge branch 2' });
+          return Util.setIn(toc, [p, Objects.write(content)]);
+        }, {});
+      const modes = Object.keys(merged)
+        .reduce((m, p) => Util.setIn(m, [p, dif[p].giverMode || dif[p].receiverMode]), {});
+      const treeHash = Objects.writeTree(Files.nestFlatTree(merged), modes);
+      return Objects.writeCommit(treeHash, 'merged common ancestors', [aHash, bHash]);
+    });
   },
 
   // **isMergeInProgress()** returns true if the repository is in the
@@ -28,6 +122,65 @@ const Merge = {
     return Refs.hash('MERGE_HEAD');
   },
 
+  // **pickHead()** returns `CHERRY_PICK_HEAD` or `REVERT_HEAD` if the
+  // repository is in the middle of a cherry-pick or a revert that
+  // stopped with conflicts.
+  pickHead() {
+    return ['CHERRY_PICK_HEAD', 'REVERT_HEAD'].filter(r => Refs.hash(r) !== undefined)[0];
+  },
+
+  // **clearPick()** ends the cherry-pick or revert that is in
+  // progress.
+  clearPick() {
+    fs.unlinkSync(Files.gitletPath('MERGE_MSG'));
+    Refs.rm(Merge.pickHead());
+  },
+
+  // **pickParent()** returns the parent of the commit `hash` that a
+  // cherry-pick or revert of it compares it with.  That is its only
+  // parent or, for a merge commit, the parent numbered `mainline`,
+  // counting from 1.
+  pickParent(hash, mainline) {
+    const parentHashes = Objects.parentHashes(Objects.read(hash));
+    if (parentHashes.length === 0) {
+      throw new Error(`commit ${hash} has no parent`);
+    } else if (parentHashes.length > 1 && mainline === undefined) {
+      throw new Error(`commit ${hash} is a merge but no -m option was given`);
+    } else if (parentHashes.length === 1 && mainline !== undefined) {
+      throw new Error(`mainline was specified but commit ${hash} is not a merge`);
+    } else if (mainline !== undefined && parentHashes[parseInt(mainline, 10) - 1] === undefined) {
+      throw new Error(`commit ${hash} does not have parent ${mainline}`);
+    }
+    return parentHashes[mainline === undefined ? 0 : parseInt(mainline, 10) - 1];
+  },
+
+  // **writePickState()** starts a cherry-pick or revert by applying
+  // the changes between the `baseHash` commit and the `giverHash`
+  // commit to `HEAD` (see `writePick()`).  It records the commit being
+  // picked or reverted, `hash`, in `pickHead` (`CHERRY_PICK_HEAD` or
+  // `REVERT_HEAD`) and the commit message, `message`, in
+  // `.gitlet/MERGE_MSG`, so that `Gitlet.commit()` can finish it.  It
+  // aborts if there are changes that the pick would overwrite.  It
+  // returns the paths of the files in conflict.
+  writePickState(giverHash, baseHash, hash, pickHead, message) {
+    const headHash = Refs.hash('HEAD');
+    const dif = Merge.mergeDiff(headHash, giverHash, baseHash);
+    const staged = Diff.nameStatus(Diff.tocDiff(Objects.commitToc(headHash), Index.toc()));
+    const lost = Util.intersection(Object.keys(Diff.nameStatus(Diff.diff(headHash))),
+      Object.keys(Diff.nameStatus(dif)));
+    if (Merge.isMergeInProgress() || Merge.pickHead() !== undefined
+        || Index.conflictedPaths().length > 0) {
+      throw new Error('a merge, cherry-pick or revert is in progress');
+    } else if (Object.keys(staged).length > 0 || lost.length > 0) {
+      throw new Error(`local changes would be lost\n${
+        Object.keys(staged).concat(lost).join('\n')}\n`);
+    }
+
+    Refs.write(pickHead, hash);
+    Files.write(Files.gitletPath('MERGE_MSG'), message);
+    return Merge.writePick(dif, Log.format(hash, true)[0]);
+  },
+
   // **canFastForward()** A fast forward is possible if the changes
   // made to get to the `giverHash` commit already incorporate the
   // changes made to get to the `receiverHash` commit.  So,
@@ -46,34 +199,83 @@ const Merge = {
     return receiverHash !== undefined && !Objects.isAncestor(giverHash, receiverHash);
   },
 
-  // **hasConflicts()** returns true if merging the commit for
-  // `giverHash` into the commit for `receiverHash` would produce
-  // conflicts.
-  hasConflicts(receiverHash, giverHash) {
-    const mergeDiff = Merge.mergeDiff(receiverHash, giverHash);
+  // **hasConflicts()** returns true if the merge diff `mergeDiff`
+  // (see `mergeDiff()`) has files in conflict.
+  hasConflicts(mergeDiff) {
     return Object.keys(mergeDiff)
       .filter(p => mergeDiff[p].status === Diff.FILE_STATUS.CONFLICT).length > 0;
   },
 
+  // **binaryConflicts()** returns the paths of the binary files that
+  // are in conflict in the merge diff `mergeDiff`.
+  binaryConflicts(mergeDiff) {
+    return Object.keys(mergeDiff)
+      .filter(p => mergeDiff[p].status === Diff.FILE_STATUS.CONFLICT
+        && Diff.isBinary(mergeDiff, p));
+  },
+
   // **mergeDiff()** returns a diff that represents the changes to get
   // from the `receiverHash` commit to the `giverHash` commit.
   // Because this is a merge diff, the function uses the common
   // ancestor of the `receiverHash` commit and `giverHash` commit to
-  // avoid trivial conflicts.
-  mergeDiff(receiverHash, giverHash) {
-    return Diff.tocDiff(Objects.commitToc(receiverHash),
+  // avoid trivial conflicts.  A different base commit can be passed
+  // as `baseHash`.
+  // Files that both commits changed are merged line by line.  If the
+  // changes do not overlap, the file is no longer in conflict.  Its
+  // merged content is written to the objects database and it is
+  // given the modify status, with the merged content as the giver.
+  // Binary files that both commits changed are always in conflict.
+  // If `favor` is `ours` or `theirs`, conflicts are resolved by taking
+  // the receiver's or the giver's side of each conflicting region, or
+  // of each conflicting binary file.  The modes of the files are
+  // merged too (see `Diff.addModes()`).
+  mergeDiff(receiverHash, giverHash, baseHash = Merge.commonAncestor(receiverHash, giverHash),
+    favor) {
+    const dif = Diff.addModes(Diff.tocDiff(Objects.commitToc(receiverHash),
       Objects.commitToc(giverHash),
-      Objects.commitToc(Merge.commonAncestor(receiverHash, giverHash)));
+      Objects.commitToc(baseHash)),
+    Objects.commitModes(receiverHash),
+    Objects.commitModes(giverHash),
+    Objects.commitModes(baseHash));
+
+    const side = { ours: 'receiver', theirs: 'giver' }[favor];
+    Object.keys(dif)
+      .filter(p => dif[p].status === Diff.FILE_STATUS.CONFLICT)
+      .forEach((p) => {
+        if (Diff.isBinary(dif, p)) {
+          if (side !== undefined) {
+            dif[p].status = Diff.FILE_STATUS.MODIFY;
+            dif[p].giver = dif[p][side];
+          }
+          return;
+        }
+
+        const merged = TextDiff.mergeBuffers(Objects.readBuffer(dif[p].base),
+          Objects.readBuffer(dif[p].receiver),
+          Objects.readBuffer(dif[p].giver),
+          { favor: side });
+        if (!merged.conflicted) {
+          dif[p].status = Diff.FILE_STATUS.MODIFY;
+          dif[p].giver = Objects.write(merged.content);
+        }
+      });
+
+    return dif;
+  },
+
+  // **mergeMsg()** returns the boilerplate message for a commit that
+  // merges `ref` into the current branch, or into the detached head.
+  mergeMsg(ref) {
+    return Refs.isHeadDetached() ? `Merge ${ref}` : `Merge ${ref} into ${Refs.headBranchName()}`;
   },
 
   // **writeMergeMsg()** creates a message for the merge commit that
-  // will potentially be created when the `giverHash` commit is merged
-  // into the `receiverHash` commit.  It writes this message to
+  // will potentially be created when `ref` is merged, with the
+  // changes in the merge diff `mergeDiff`.  It writes this message to
   // `.gitlet/MERGE_MSG`.
-  writeMergeMsg(receiverHash, giverHash, ref) {
-    let msg = `Merge ${ref} into ${Refs.headBranchName()}`;
+  writeMergeMsg(mergeDiff, ref) {
+    let msg = Merge.mergeMsg(ref);
 
-    const mergeDiff = Merge.mergeDiff(receiverHash, giverHash);
     const conflicts = Object.keys(mergeDiff)
       .filter(p => mergeDiff[p].status === Diff.FILE_STATUS.CONFLICT);
     if (conflicts.length > 0) {
@@ -83,36 +285,47 @@ const Merge = {
     Files.write(Files.gitletPath('MERGE_MSG'), msg);
   },
 
-  // **writeIndex()** merges the `giverHash` commit into the
-  // `receiverHash` commit and writes the merged content to the Index.
-  writeIndex(receiverHash, giverHash) {
-    const mergeDiff = Merge.mergeDiff(receiverHash, giverHash);
-    Index.write({});
-    Object.keys(mergeDiff).forEach((p) => {
-      if (mergeDiff[p].status === Diff.FILE_STATUS.CONFLICT) {
-        Index.writeConflict(p,
-          Objects.read(mergeDiff[p].receiver),
-          Objects.read(mergeDiff[p].giver),
-          Objects.read(mergeDiff[p].base));
-      } else if (mergeDiff[p].status === Diff.FILE_STATUS.MODIFY) {
-        Index.writeNonConflict(p, Objects.read(mergeDiff[p].giver));
-      } else if (mergeDiff[p].status === Diff.FILE_STATUS.ADD
-                   || mergeDiff[p].status === Diff.FILE_STATUS.SAME) {
-        const content = Objects.read(mergeDiff[p].receiver || mergeDiff[p].giver);
-        Index.writeNonConflict(p, content);
+  // **writeIndex()** writes the merged content in the merge diff
+  // `mergeDiff` to the Index.
+  writeIndex(mergeDiff) {
+    const changes = Object.keys(mergeDiff).map((p) => {
+      const d = mergeDiff[p];
+      if (d.status === Diff.FILE_STATUS.CONFLICT) {
+        return {
+          path: p,
+          receiverContent: Objects.readBuffer(d.receiver),
+          giverContent: Objects.readBuffer(d.giver),
+          baseContent: Objects.readBuffer(d.base),
+        };
+      } if (d.status === Diff.FILE_STATUS.MODIFY) {
+        return { path: p, content: Objects.readBuffer(d.giver) };
+      } if ((d.status === Diff.FILE_STATUS.ADD || d.status === Diff.FILE_STATUS.SAME)
+            && (d.receiver || d.giver) !== undefined) {
+        return { path: p, content: Objects.readBuffer(d.receiver || d.giver) };
       }
+      return { path: p };
     });
+
+    Index.write({});
+    Index.writeChanges(changes);
+
+    // Give each file in the index its merged mode.
+    Index.write(Index.read(), Object.keys(mergeDiff)
+      .reduce((modes, p) => Util.setIn(modes,
+        [p, mergeDiff[p].giverMode || mergeDiff[p].receiverMode]), {}));
   },
 
   // **writeFastForwardMerge()** Fast forwarding means making the
-  // current branch reflect the commit that `giverHash` points at.  No
-  // new commit is created.
-  writeFastForwardMerge(receiverHash, giverHash) {
+  // current branch, or the detached head, reflect the commit that
+  // `giverHash` points at.  No new commit is created.  `message` is
+  // the reason recorded in the log of the branch.
+  writeFastForwardMerge(receiverHash, giverHash, message) {
     // Point head at `giverHash`.
-    Refs.write(Refs.toLocalRef(Refs.headBranchName()), giverHash);
+    Refs.write(Refs.terminalRef('HEAD'), giverHash, message);
 
     // Make the index mirror the content of `giverHash`.
-    Index.write(Index.tocToIndex(Objects.commitToc(giverHash)));
+    Index.write(Index.tocToIndex(Objects.commitToc(giverHash)),
+      Objects.commitModes(giverHash));
 
     // If the repo is bare, it has no working copy, so there is no
     // more work to do.  If the repo is not bare...
@@ -122,9 +335,11 @@ const Merge = {
       // `recevierHash` is undefined, the repository has no commits,
       // yet, and the mapping object is empty.
       const receiverToc = receiverHash === undefined ? {} : Objects.commitToc(receiverHash);
+      const receiverModes = receiverHash === undefined ? {} : Objects.commitModes(receiverHash);
 
       // ...and write the content of the files to the working copy.
-      WorkingCopy.write(Diff.tocDiff(receiverToc, Objects.commitToc(giverHash)));
+      WorkingCopy.write(Diff.addModes(Diff.tocDiff(receiverToc, Objects.commitToc(giverHash)),
+        receiverModes, Objects.commitModes(giverHash)));
     }
   },
 
@@ -135,8 +350,8 @@ const Merge = {
   // forward merge, no commit yet exists that embodies the combination
   // of these two commits.  `writeNonFastForwardMerge()` does not
   // actually create the merge commit.  It just sets the wheels in
-  // motion.
-  writeNonFastForwardMerge(receiverHash, giverHash, giverRef) {
+  // motion.  `mergeDiff` is the merge diff of the two commits.
+  writeNonFastForwardMerge(giverHash, giverRef, mergeDiff) {
     // Write `giverHash` to `.gitlet/MERGE_HEAD`.  This file acts as a
     // record of `giverHash` and as the signal that the repository is
     // in the merging state.
@@ -144,20 +359,51 @@ const Merge = {
 
     // Write a standard merge commit message that will be used when
     // the merge commit is created.
-    Merge.writeMergeMsg(receiverHash, giverHash, giverRef);
+    Merge.writeMergeMsg(mergeDiff, giverRef);
+
+    // Write the merged content to the index and working copy.
+    Merge.writeMergeContent(mergeDiff, giverRef);
+  },
 
-    // Merge the `receiverHash` commit with the `giverHash` commit and
-    // write the content to the Index.
-    Merge.writeIndex(receiverHash, giverHash);
+  // **writeMergeContent()** writes the merged content in the merge
+  // diff `mergeDiff` to the index and the working copy, without
+  // putting the repository into the merge state.  This is all that a
+  // squash merge does.  `giverRef` labels the giver's side of any
+  // conflicts.
+  writeMergeContent(mergeDiff, giverRef) {
+    // Write the merged content to the Index.
+    Merge.writeIndex(mergeDiff);
 
     // If the repo is bare, it has no working copy, so there is no
     // more work to do.  If the repo is not bare...
     if (!Config.isBare()) {
-      // ...merge the `receiverHash` commit with the `giverHash`
-      // commit and write the content to the working copy.
-      WorkingCopy.write(Merge.mergeDiff(receiverHash, giverHash));
+      // ...write the merged content to the working copy.
+      WorkingCopy.write(mergeDiff, giverRef);
     }
   },
+
+  // **writeOursMerge()** puts the repository into the merge state to
+  // merge the `giverHash` commit with the `ours` strategy.  The index
+  // and working copy are left as they are, so the merge commit keeps
+  // the content of the receiver and only records the giver as a
+  // parent.
+  writeOursMerge(giverHash, giverRef) {
+    Refs.write('MERGE_HEAD', giverHash);
+    Files.write(Files.gitletPath('MERGE_MSG'), Merge.mergeMsg(giverRef));
+  },
+
+  // **writePick()** applies the changes in `mergeDiff`, a merge diff
+  // made with the picked commit's parent as the base, by writing the
+  // merged content to the index and the working copy.  This is how a
+  // commit is replayed on top of another.  `giverName` labels the
+  // giver's side of any conflicts.  It returns the paths of the files
+  // in conflict.
+  writePick(mergeDiff, giverName) {
+    Merge.writeIndex(mergeDiff);
+    WorkingCopy.write(mergeDiff, giverName);
+    return Object.keys(mergeDiff)
+      .filter(p => mergeDiff[p].status === Diff.FILE_STATUS.CONFLICT);
+  },
 };
 
 module.exports = Merge;
@@ -10,27 +10,67 @@
 //   directory in the repository.  Entries in the list for files point
 //   to blob Objects.  Entries in the list for directories point at
 //   other tree Objects.
-// - A commit object stores a pointer to a tree object and a message.
-//   It represents the state of the repository after a commit.
+// - A commit object stores a pointer to a tree object, the author and
+//   committer and a message.  It represents the state of the
+//   repository after a commit.
+// - A tag object stores a pointer to another object, usually a
+//   commit, the name of the tag, the tagger and a message.  It is
+//   made by an annotated tag.
+//
+// Objects are stored like Git's loose objects.  The content is
+// prefixed with a header of the object type and the length of the
+// content, like `blob 5\0`.  The object is named after the SHA-1 hash
+// (or the SHA-256 hash, if the repository was created with
+// `--object-format sha256`) of the header and content.  It is
+// compressed with zlib and written to a file named by all but the
+// first two characters of the hash, in a directory named by the first
+// two characters.  eg
+// `objects/e6/9de29bb2d1d6434b8b29ae775ad8c2e48c5391`.
+//
+// Repositories made by older versions of Gitlet store each object
+// uncompressed, without a header, in a file named after the MD5 hash
+// of its content, like `objects/7215ee9c7d9dc229d2921a40e899ec5f`.
+// These objects can still be read.
+//
+// Objects can also be stored in packs (see the pack module).  Objects
+// are read from packs if they are not found as files.
 
 const fs = require('fs');
 const nodePath = require('path');
+const Os = require('os');
+const zlib = require('zlib');
 const Files = require('./files');
+const Config = require('./config');
+const Pack = require('./pack');
 const Util = require('./util');
 
 const Objects = {
 
   // **writeTree()** stores a tree of objects that represent the
-  // content currently in the index.
-  writeTree(tree) {
-    const treeObject = `${Object.keys(tree).map((key) => {
-      if (Util.isString(tree[key])) {
-        return `blob ${tree[key]} ${key}`;
-      }
-      return `tree ${Objects.writeTree(tree[key])} ${key}`;
-    }).join('\n')}\n`;
+  // content currently in the index.  `modes` maps the path of each
+  // file to its mode (see `treeEntries()`).  Files without a mode are
+  // regular files.  `prefix` is the path of the directory `tree`
+  // represents.  The entries are sorted like Git sorts them, by name,
+  // with the name of a directory compared as if it ended in `/`.
+  writeTree(tree, modes = {}, prefix = '') {
+    const entries = Object.keys(tree).map((key) => {
+      const path = prefix + key;
+      return Util.isString(tree[key])
+        ? { mode: modes[path] || '100644', hash: tree[key], name: key }
+        : { mode: '40000', hash: Objects.writeTree(tree[key], modes, `${path}/`), name: key };
+    }).sort((a, b) => Buffer.compare(Buffer.from(a.mode === '40000' ? `${a.name}/` : a.name),
+      Buffer.from(b.mode === '40000' ? `${b.name}/` : b.name)));
+
+    // Write the tree like an older version of Gitlet if it points at
+    // objects from an older version of Gitlet, whose hashes are of a
+    // different length.
+    if (entries.filter(e => e.hash.length !== Objects.hashLength() * 2).length > 0) {
+      return Objects.write(`${entries.map(e => `${e.mode.padStart(6, '0')} ${
+        e.mode === '40000' ? 'tree' : 'blob'} ${e.hash}\t${e.name}`).join('\n')}\n`, 'tree');
+    }
 
-    return Objects.write(treeObject);
+    return Objects.write(Buffer.concat(entries.map(e => Buffer
+      .concat([Buffer.from(`${e.mode} ${e.name}\0`), Buffer.from(e.hash, 'hex')]))), 'tree');
   },
 
   // **fileTree()** takes a tree hash and finds the corresponding tree
@@ -40,31 +80,211 @@ const Objects = {
   fileTree(treeHash, tree) {
     if (tree === undefined) { return Objects.fileTree(treeHash, {}); }
 
-    Util.lines(Objects.read(treeHash)).forEach((line) => {
-      const lineTokens = line.split(/ /);
-      tree[lineTokens[2]] = lineTokens[0] === 'tree'
-        ? Objects.fileTree(lineTokens[1], {})
-        : lineTokens[1];
+    Objects.treeEntries(treeHash).forEach((entry) => {
+      tree[entry.name] = entry.type === 'tree'
+        ? Objects.fileTree(entry.hash, {})
+        : entry.hash;
     });
 
     return tree;
   },
 
+  // **treeEntries()** takes a tree hash and returns an array of the
+  // entries in the tree object, like:<br/>
+  // `[{ mode: "100644", type: "blob", hash: "hash(1)", name: "file1" }]`
+  // <br/>A tree object is stored like Git stores it.  Each entry is
+  // the mode, a space, the name, a NUL and the hash as raw bytes.  The
+  // mode is `100644` for a regular file, `100755` for an executable
+  // file, `120000` for a symlink and `40000` for a directory.  It is
+  // returned with six digits, so a directory is `040000`.
+  //
+  // Trees written by older versions of Gitlet are text, so they have
+  // no NULs.  Each line is like:<br/>
+  // `100644 blob hash(1)<tab>file1`<br/>
+  // or, in the oldest, `blob hash(1) file1`, with no mode.
+  treeEntries(treeHash) {
+    const data = Objects.readBuffer(treeHash);
+    if (data.indexOf(0) === -1) {
+      return Util.lines(data.toString('utf8')).map((line) => {
+        const lineTokens = line.match(/^(?:([0-7]{6}) )?(blob|tree) ([0-9a-f]+)[ \t](.+)$/);
+        if (lineTokens === null) {
+          throw new Error(`malformed tree ${treeHash}`);
+        }
+        return {
+          mode: lineTokens[1] || (lineTokens[2] === 'tree' ? '040000' : '100644'),
+          type: lineTokens[2],
+          hash: lineTokens[3],
+          name: lineTokens[4],
+        };
+      });
+    }
+
+    const hashLength = Objects.hashLength();
+    const entries = [];
+    let offset = 0;
+    while (offset < data.length) {
+      const space = data.indexOf(' ', offset);
+      const nul = data.indexOf(0, space);
+      if (space === -1 || nul === -1 || nul + 1 + hashLength > data.length) {
+        throw new Error(`malformed tree ${treeHash}`);
+      }
+
+      const mode = data.toString('utf8', offset, space).padStart(6, '0');
+      entries.push({
+        mode,
+        type: { '040000': 'tree', 160000: 'commit' }[mode] || 'blob',
+        hash: data.toString('hex', nul + 1, nul + 1 + hashLength),
+        name: data.toString('utf8', space + 1, nul),
+      });
+      offset = nul + 1 + hashLength;
+    }
+
+    return entries;
+  },
+
+  // **treeModes()** returns an object that maps the path of each file
+  // in the tree `treeHash` to its mode, like `{ "src/run": "100755" }`.
+  treeModes(treeHash, prefix = '') {
+    return Objects.treeEntries(treeHash).reduce((modes, entry) => (entry.type === 'tree'
+      ? Object.assign(modes, Objects.treeModes(entry.hash, `${prefix}${entry.name}/`))
+      : Util.setIn(modes, [prefix + entry.name, entry.mode])), {});
+  },
+
   // **writeCommit()** creates a commit object and writes it to the
-  // objects database.
-  writeCommit(treeHash, message, parentHashes) {
-    return Objects.write(`commit ${treeHash}\n${
+  // objects database.  It is laid out like a Git commit: the tree,
+  // the parents, the author and the committer (see `signature()`), a
+  // blank line and `message`.  `author` can be passed to keep the
+  // author of a commit that is being made again.
+  writeCommit(treeHash, message, parentHashes, author = Objects.signature('author')) {
+    return Objects.write(`tree ${treeHash}\n${
       parentHashes
         .map(h => `parent ${h}\n`).join('')
-    }Date:  ${new Date().toString()}\n`
+    }author ${author}\n`
+                           + `committer ${Objects.signature('committer')}\n`
                            + '\n'
-                           + `    ${message}\n`);
+                           + `${message}\n`, 'commit');
+  },
+
+  // **writeTag()** creates a tag object called `name` that points at
+  // the object `targetHash` and writes it to the objects database.
+  // The tagger is the same as the committer of a commit (see
+  // `signature()`).
+  writeTag(targetHash, name, message) {
+    return Objects.write(`object ${targetHash}\n`
+                         + `type ${Objects.typeOf(targetHash)}\n`
+                         + `tag ${name}\n`
+                         + `tagger ${Objects.signature('committer')}\n`
+                         + '\n'
+                         + `${message}\n`, 'tag');
+  },
+
+  // **signature()** returns the line that records the `author` or
+  // `committer` (`role`) of a new commit, like `Ada Lovelace
+  // <ada@example.com> 1514764800 +0100`.  The name and email are the
+  // `user.name` and `user.email` settings.  If they are not set, they
+  // are made from the name of the user and machine.  The time is now.
+  //
+  // The `GITLET_AUTHOR_NAME`, `GITLET_AUTHOR_EMAIL` and
+  // `GITLET_AUTHOR_DATE` environment variables override the author's
+  // details, and the `GITLET_COMMITTER_*` variables override the
+  // committer's.  If `GITLET_FIXED_DATE` is set, it is used as the
+  // time of every commit that does not have its date overridden, so
+  // the commits made are the same each time.
+  signature(role) {
+    const env = name => process.env[`GITLET_${role.toUpperCase()}_${name}`];
+    const user = Os.userInfo().username;
+    const name = env('NAME') || Config.get('user.name') || user;
+    const email = env('EMAIL') || Config.get('user.email') || `${user}@${Os.hostname()}`;
+    const clean = str => str.replace(/[<>\n]/g, '').trim();
+    return `${clean(name)} <${clean(email)}> ${
+      Objects.signatureDate(env('DATE') || process.env.GITLET_FIXED_DATE)}`;
+  },
+
+  // **signatureDate()** turns `date` into the seconds since the epoch
+  // and the timezone offset recorded in a signature, like `1514764800
+  // +0100`.  `date` can be in that form already, with an optional `@`
+  // before the seconds, or be any date `Date.parse()` understands,
+  // like `2018-01-01T00:00:00+01:00`.  If `date` is not passed, the
+  // current time and timezone are used.
+  signatureDate(date) {
+    const tz = (minutes) => {
+      const abs = Math.abs(minutes);
+      return `${minutes < 0 ? '-' : '+'}${`${Math.floor(abs / 60)}`.padStart(2, '0')}${
+        `${abs % 60}`.padStart(2, '0')}`;
+    };
+
+    if (date === undefined) {
+      return `${Math.floor(Date.now() / 1000)} ${tz(-new Date().getTimezoneOffset())}`;
+    }
+
+    const raw = date.match(/^@?(\d+)(?: ([+-]\d{4}))?$/);
+    if (raw !== null) {
+      return `${raw[1]} ${raw[2] || '+0000'}`;
+    }
+
+    const time = Date.parse(date);
+    if (Number.isNaN(time)) {
+      throw new Error(`invalid date format: ${date}`);
+    }
+    // Use the timezone in `date`, if it has one, or else the local
+    // timezone.
+    const offset = date.match(/([+-])(\d\d):?(\d\d)$/);
+    if (offset !== null) {
+      const minutes = parseInt(offset[2], 10) * 60 + parseInt(offset[3], 10);
+      return `${Math.floor(time / 1000)} ${tz(offset[1] === '-' ? -minutes : minutes)}`;
+    } if (date.match(/Z$/) !== null) {
+      return `${Math.floor(time / 1000)} +0000`;
+    }
+    return `${Math.floor(time / 1000)} ${tz(-new Date(time).getTimezoneOffset())}`;
+  },
+
+  // **write()** writes `content`, a string or a buffer, to the objects
+  // database as an object of type `type` and returns its hash.
+  write(content, type = 'blob') {
+    const data = Objects.serialize(content, type);
+    const hash = Util.hash(data, Objects.hashAlgorithm());
+    if (!Objects.exists(hash)) {
+      Files.write(Objects.path(hash), zlib.deflateSync(data));
+    }
+    return hash;
   },
 
-  // **write()** writes `str` to the objects database.
-  write(str) {
-    Files.write(nodePath.join(Files.gitletPath(), 'objects', Util.hash(str)), str);
-    return Util.hash(str);
+  // **hash()** returns the hash that `content` would have if it were
+  // written to the objects database as an object of type `type`.
+  hash(content, type = 'blob') {
+    return Util.hash(Objects.serialize(content, type), Objects.hashAlgorithm());
+  },
+
+  // **serialize()** returns a buffer of `content` prefixed with the
+  // header for an object of type `type`.
+  serialize(content, type) {
+    return Buffer.concat([Buffer.from(`${type} ${Buffer.byteLength(content)}\0`),
+      Buffer.from(content)]);
+  },
+
+  // **hashAlgorithm()** returns the algorithm used to name objects in
+  // this repository: `sha1` or `sha256`.
+  hashAlgorithm() {
+    return Config.get('extensions.objectFormat') || 'sha1';
+  },
+
+  // **hashLength()** returns the length in bytes of the hashes made
+  // with `algorithm`.
+  hashLength(algorithm = Objects.hashAlgorithm()) {
+    return { sha1: 20, sha256: 32 }[algorithm];
+  },
+
+  // **path()** returns the path of the file for the object
+  // `objectHash`.
+  path(objectHash) {
+    return nodePath.join(Files.gitletPath(), 'objects',
+      objectHash.slice(0, 2), objectHash.slice(2));
+  },
+
+  // **legacyPath()** returns the path of the file for the object
+  // `objectHash` in a repository made by an older version of Gitlet.
+  legacyPath(objectHash) {
+    return nodePath.join(Files.gitletPath(), 'objects', objectHash);
   },
 
   // **isUpToDate()** returns true if the giver commit has already
@@ -80,29 +300,272 @@ const Objects = {
   // called `objectHash`
   exists(objectHash) {
     return objectHash !== undefined
-        && fs.existsSync(nodePath.join(Files.gitletPath(), 'objects', objectHash));
+        && objectHash.match(/^[0-9a-f]+$/) !== null
+        && (Objects.isLoose(objectHash) || Pack.has(objectHash));
+  },
+
+  // **isLoose()** returns true if the object called `objectHash` is
+  // stored in a file of its own, rather than in a pack.
+  isLoose(objectHash) {
+    return [Objects.path(objectHash), Objects.legacyPath(objectHash)]
+      .filter(p => fs.existsSync(p) && fs.statSync(p).isFile()).length > 0;
+  },
+
+  // **isLegacy()** returns true if the object called `objectHash` was
+  // written by an older version of Gitlet.
+  isLegacy(objectHash) {
+    return fs.existsSync(Objects.legacyPath(objectHash))
+        && fs.statSync(Objects.legacyPath(objectHash)).isFile();
   },
 
-  // **read()** returns the content of the object called `objectHash`.
+  // **readObject()** returns the type and content of the object
+  // called `objectHash`, like `{ type: "blob", data: <Buffer> }`.  It
+  // returns `undefined` if there is no such object.
+  readObject(objectHash) {
+    if (!Objects.exists(objectHash)) {
+      return undefined;
+    }
+
+    // Read an object without a header from an older repository.  Its
+    // type has to be worked out from its content.
+    if (Objects.isLegacy(objectHash)) {
+      const data = fs.readFileSync(Objects.legacyPath(objectHash));
+      return { type: Objects.type(data.toString('utf8')), data };
+    }
+
+    // Read an object from a pack.
+    if (!Objects.isLoose(objectHash)) {
+      return Pack.read(objectHash);
+    }
+
+    const data = zlib.inflateSync(fs.readFileSync(Objects.path(objectHash)));
+    const headerEnd = data.indexOf(0);
+    return {
+      type: data.slice(0, headerEnd).toString().split(' ')[0],
+      data: data.slice(headerEnd + 1),
+    };
+  },
+
+  // **read()** returns the content of the object called `objectHash`
+  // as a string.  It is used for commits and trees.  The content of
+  // files is read with `readBuffer()`, so it is not changed by being
+  // decoded.
   read(objectHash) {
-    if (objectHash !== undefined) {
-      const objectPath = nodePath.join(Files.gitletPath(), 'objects', objectHash);
-      if (fs.existsSync(objectPath)) {
-        return Files.read(objectPath);
+    const object = Objects.readObject(objectHash);
+    return object === undefined ? undefined : object.data.toString('utf8');
+  },
+
+  // **readBuffer()** returns the content of the object called
+  // `objectHash` as a buffer.
+  readBuffer(objectHash) {
+    const object = Objects.readObject(objectHash);
+    return object === undefined ? undefined : object.data;
+  },
+
+  // **typeOf()** returns the type of the object called `objectHash`:
+  // commit, tree or blob.
+  typeOf(objectHash) {
+    const object = Objects.readObject(objectHash);
+    return object === undefined ? undefined : object.type;
+  },
+
+  // **rm()** removes the file of the loose object `objectHash`, and
+  // its directory, if that is left empty.
+  rm(objectHash) {
+    if (Objects.isLegacy(objectHash)) {
+      fs.unlinkSync(Objects.legacyPath(objectHash));
+    } else if (Objects.isLoose(objectHash)) {
+      fs.unlinkSync(Objects.path(objectHash));
+      Files.rmEmptyDirs(nodePath.dirname(Objects.path(objectHash)));
+    }
+  },
+
+  // **mtime()** returns the time, in milliseconds, that the file that
+  // holds the object `objectHash` was last modified.  For a packed
+  // object, this is the time the pack was written.
+  mtime(objectHash) {
+    if (Objects.isLegacy(objectHash)) {
+      return fs.statSync(Objects.legacyPath(objectHash)).mtimeMs;
+    } if (Objects.isLoose(objectHash)) {
+      return fs.statSync(Objects.path(objectHash)).mtimeMs;
+    }
+    return fs.statSync(Pack.path(Pack.nameOf(objectHash))).mtimeMs;
+  },
+
+  // **isIntact()** returns true if the content of the object
+  // `objectHash` still hashes to its name.
+  isIntact(objectHash) {
+    const object = Objects.readObject(objectHash);
+    return Objects.isLegacy(objectHash)
+      ? Util.hash(object.data, 'md5') === objectHash
+      : Objects.hash(object.data, object.type) === objectHash;
+  },
+
+  // **links()** returns an array of the objects that the object
+  // `objectHash` points at, like `[{ type: "tree", hash: "hash(1)" }]`.
+  // A commit points at its tree and its parents.  A tree points at
+  // its entries.  A tag points at the object it tags.  It throws if
+  // the object cannot be parsed.
+  links(objectHash) {
+    const object = Objects.readObject(objectHash);
+    const content = object.data.toString('utf8');
+    if (object.type === 'commit') {
+      if (Objects.treeHash(content) === undefined) {
+        throw new Error(`malformed commit ${objectHash}`);
       }
+      return [{ type: 'tree', hash: Objects.treeHash(content) }]
+        .concat(Objects.parentHashes(content).map(h => ({ type: 'commit', hash: h })));
+    } if (object.type === 'tree') {
+      return Objects.treeEntries(objectHash).map(e => ({ type: e.type, hash: e.hash }));
+    } if (object.type === 'tag') {
+      return [Objects.tagTarget(content)];
     }
+    return [];
+  },
+
+  // **unpack()** copies the packed object `objectHash` to a file of
+  // its own.  The file is given the modified time of the pack, so the
+  // object seems as old as it was in the pack.
+  unpack(objectHash) {
+    const object = Objects.readObject(objectHash);
+    const time = Objects.mtime(objectHash) / 1000;
+    Files.write(Objects.path(objectHash),
+      zlib.deflateSync(Objects.serialize(object.data, object.type)));
+    fs.utimesSync(Objects.path(objectHash), time, time);
+  },
+
+  // **looseHashes()** returns an array of the hashes of all the
+  // objects that are stored in files of their own.
+  looseHashes() {
+    const objectsPath = Files.gitletPath('objects');
+    return fs.readdirSync(objectsPath).reduce((hashes, name) => {
+      const path = nodePath.join(objectsPath, name);
+      if (name.match(/^[0-9a-f]{2}$/) && fs.statSync(path).isDirectory()) {
+        return hashes.concat(fs.readdirSync(path).map(n => name + n));
+      } if (name.match(/^[0-9a-f]+$/) && fs.statSync(path).isFile()) {
+        return hashes.concat(name);
+      }
+      return hashes;
+    }, []);
   },
 
-  // **allObjects()** returns an array of the string content of all
-  // the objects in the database
+  // **allHashes()** returns an array of the hashes of all the objects
+  // in the database, loose or packed.
+  allHashes() {
+    return Util.unique(Objects.looseHashes().concat(Pack.allHashes()));
+  },
+
+  // **allObjects()** returns an array of the type and content of all
+  // the objects in the database (see `readObject()`).
   allObjects() {
-    return fs.readdirSync(Files.gitletPath('objects')).map(Objects.read);
+    return Objects.allHashes().map(Objects.readObject);
+  },
+
+  // **missing()** returns the hashes of the objects in `hashes`, and
+  // the objects they point at, that another repository does not
+  // have.  The parents of a commit are not followed.  `has` takes a
+  // hash and returns true if the other repository has that object.
+  // A tree that the other repository has is not walked, because the
+  // other repository must also have everything it points at.  This
+  // means the work done is in proportion to the changes made by the
+  // commits, rather than to the size of the repository.
+  missing(hashes, has) {
+    const checked = {};
+    const missing = [];
+
+    // **visit()** adds `hash` to the missing objects if it has not
+    // been seen before and the other repository does not have it.  It
+    // returns true if it was added.
+    function visit(hash) {
+      if (checked[hash] === undefined) {
+        checked[hash] = !has(hash);
+        if (checked[hash]) {
+          missing.push(hash);
+          return true;
+        }
+      }
+      return false;
+    }
+
+    // **walkTree()** visits the tree `treeHash` and, if it is
+    // missing, everything it points at.
+    function walkTree(treeHash) {
+      if (visit(treeHash)) {
+        Objects.treeEntries(treeHash).forEach((entry) => {
+          if (entry.type === 'tree') {
+            walkTree(entry.hash);
+          } else {
+            visit(entry.hash);
+          }
+        });
+      }
+    }
+
+    // **walk()** visits the object `hash` of type `type` and, if it
+    // is missing, everything it points at.
+    function walk(hash, type = Objects.typeOf(hash)) {
+      if (type === 'tree') {
+        walkTree(hash);
+      } else if (type === 'blob') {
+        visit(hash);
+      } else if (visit(hash)) {
+        const content = Objects.read(hash);
+        if (type === 'commit') {
+          walkTree(Objects.treeHash(content));
+        } else {
+          const target = Objects.tagTarget(content);
+          walk(target.hash, target.type);
+        }
+      }
+    }
+
+    hashes.forEach((hash) => { walk(hash); });
+
+    return missing;
+  },
+
+  // **pack()** writes the objects `hashes` to a new pack and returns
+  // the name of the pack.  Objects from older repositories cannot be
+  // packed, because their hashes are of a different length, so they
+  // are left out.
+  pack(hashes) {
+    return Pack.write(hashes
+      .filter(h => !Objects.isLegacy(h))
+      .map(h => Object.assign({ hash: h }, Objects.readObject(h))), Objects.hashAlgorithm());
+  },
+
+  // **send()** packs the objects `hashes` so they can be copied to
+  // another repository by `receive()`.  Objects from older
+  // repositories cannot be packed, so they are sent as they are.
+  send(hashes) {
+    const packable = hashes.filter(h => !Objects.isLegacy(h));
+    return {
+      count: hashes.length,
+      pack: packable.length === 0 ? undefined : Pack.build(packable
+        .map(h => Object.assign({ hash: h }, Objects.readObject(h))), Objects.hashAlgorithm()),
+      legacy: hashes.filter(Objects.isLegacy)
+        .map(h => ({ hash: h, data: Objects.readBuffer(h) })),
+    };
+  },
+
+  // **receive()** stores the objects `sent` by `send()` in another
+  // repository.
+  receive(sent) {
+    if (sent.pack !== undefined) {
+      Pack.store(sent.pack);
+    }
+    sent.legacy
+      .filter(o => !Objects.exists(o.hash))
+      .forEach((o) => { Files.write(Objects.legacyPath(o.hash), o.data); });
   },
 
   // **type()** parses `str` as an object and returns its type:
-  // commit, tree or blob.
+  // commit, tree, blob or tag.  It is only needed for objects from
+  // older repositories, which do not record their type.
   type(str) {
-    return { commit: 'commit', tree: 'tree', blob: 'tree' }[str.split(' ')[0]] || 'blob';
+    return {
+      commit: 'commit', tree: 'tree', blob: 'tree', object: 'tag',
+    }[str.split(' ')[0]] || 'blob';
   },
 
   // **isAncestor()** returns true if `descendentHash` is a descendent
@@ -112,28 +575,110 @@ const Objects = {
   },
 
   // **ancestors()** returns an array of the hashes of all the
-  // ancestor commits of `commitHash`.
+  // ancestor commits of `commitHash`.  Each commit appears once.
   ancestors(commitHash) {
-    const parents = Objects.parentHashes(Objects.read(commitHash));
-    return Util.flatten(parents.concat(parents.map(Objects.ancestors)));
+    const seen = {};
+    const toVisit = Objects.parentHashes(Objects.read(commitHash));
+    while (toVisit.length > 0) {
+      const hash = toVisit.pop();
+      if (!seen[hash]) {
+        seen[hash] = true;
+        Objects.parentHashes(Objects.read(hash)).forEach((p) => { toVisit.push(p); });
+      }
+    }
+
+    return Object.keys(seen);
   },
 
   // **parentHashes()** parses `str` as a commit and returns the
   // hashes of its parents.
   parentHashes(str) {
-    if (Objects.type(str) === 'commit') {
-      return str.split('\n')
-        .filter(line => line.match(/^parent/))
+    if (Objects.treeHash(str) !== undefined) {
+      return str.slice(0, str.indexOf('\n\n')).split('\n')
+        .filter(line => line.match(/^parent /))
         .map(line => line.split(' ')[1]);
     }
   },
 
-  // **parentHashes()** parses `str` as a commit and returns the tree
-  // it points at.
+  // **treeHash()** parses `str` as a commit and returns the tree it
+  // points at.  The first line of a commit is like `tree hash(1)`, or
+  // `commit hash(1)` if it was made by an older version of Gitlet.
   treeHash(str) {
-    if (Objects.type(str) === 'commit') {
-      return str.split(/\s/)[1];
+    const pieces = str.match(/^(?:tree|commit) ([0-9a-f]+)\n/);
+    return pieces === null ? undefined : pieces[1];
+  },
+
+  // **tagTarget()** parses `str` as a tag object and returns the
+  // object it points at, like `{ type: "commit", hash: hash(1) }`.
+  tagTarget(str) {
+    const pieces = str.match(/^object ([0-9a-f]+)\ntype (\w+)\n/);
+    if (pieces === null) {
+      throw new Error('malformed tag');
     }
+    return { type: pieces[2], hash: pieces[1] };
+  },
+
+  // **peel()** returns the hash of the object that `objectHash`
+  // points at once all tag objects are followed.  Any other object
+  // is returned as it is.
+  peel(objectHash) {
+    let hash = objectHash;
+    while (hash !== undefined && Objects.typeOf(hash) === 'tag') {
+      ({ hash } = Objects.tagTarget(Objects.read(hash)));
+    }
+    return hash;
+  },
+
+  // **commitSignature()** parses `str` as a commit and returns the
+  // details of its `author` or `committer` (`role`), like `{ name:
+  // "Ada Lovelace", email: "ada@example.com", time: 1514764800, tz:
+  // "+0100" }`.  Commits made by older versions of Gitlet only have a
+  // date, so it returns `undefined` for them.
+  commitSignature(str, role) {
+    const line = str.slice(0, str.indexOf('\n\n')).split('\n')
+      .filter(l => l.startsWith(`${role} `))[0];
+    const pieces = line === undefined ? null : line.match(/^\w+ (.*) <(.*)> (\d+) ([+-]\d{4})$/);
+    return pieces === null ? undefined : {
+      name: pieces[1], email: pieces[2], time: parseInt(pieces[3], 10), tz: pieces[4],
+    };
+  },
+
+  // **commitAuthor()** parses `str` as a commit and returns its
+  // author, like `Ada Lovelace <ada@example.com> 1514764800 +0100`,
+  // which can be passed to `writeCommit()`.  Commits made by older
+  // versions of Gitlet have no author, so it returns `undefined` for
+  // them.
+  commitAuthor(str) {
+    const author = Objects.commitSignature(str, 'author');
+    return author === undefined ? undefined
+      : `${author.name} <${author.email}> ${author.time} ${author.tz}`;
+  },
+
+  // **commitDate()** parses `str` as a commit and returns the `Date`
+  // it was committed on.
+  commitDate(str) {
+    const committer = Objects.commitSignature(str, 'committer');
+    if (committer !== undefined) {
+      return new Date(committer.time * 1000);
+    }
+    const dateLine = str.split('\n').filter(line => line.match(/^Date:/))[0];
+    return new Date(dateLine.replace(/^Date:\s*/, ''));
+  },
+
+  // **commitMessage()** parses `str` as a commit and returns its
+  // message.  Commits made by older versions of Gitlet indent each
+  // line of the message, so the indentation is removed.
+  commitMessage(str) {
+    const message = str.slice(str.indexOf('\n\n') + 2).replace(/\n$/, '');
+    return str.startsWith('commit ')
+      ? message.split('\n').map(line => line.replace(/^ {4}/, '')).join('\n')
+      : message;
+  },
+
+  // **commitModes()** takes the hash of a commit and returns an object
+  // that maps the path of each file in the commit to its mode.
+  commitModes(hash) {
+    return Objects.treeModes(Objects.treeHash(Objects.read(hash)));
   },
 
   // **commitToc()** takes the hash of a commit and reads the content
@@ -0,0 +1,492 @@
+// Pack module
+// -----------
+
+// A pack is a single file that holds many objects.  Packs are stored
+// in `.gitlet/objects/pack/` in the same format Git uses.  Each pack
+// is named after the checksum of its content, like
+// `pack-<checksum>.pack`.  It has an index file next to it,
+// `pack-<checksum>.idx`, that maps each object hash to the offset of
+// the object in the pack.
+//
+// The pack file starts with a header of `PACK`, the format version and
+// the number of objects.  Each object is then written as a header of
+// its type and size, followed by its zlib compressed content.  Instead
+// of its full content, an object can be stored as a delta against
+// another object that appears earlier in the pack.  A delta is a list
+// of instructions that either copy a range of bytes from the base
+// object, or insert new bytes.  Objects with similar content, like two
+// versions of the same file, are stored much more compactly this way.
+
+const fs = require('fs');
+const nodePath = require('path');
+const zlib = require('zlib');
+const Files = require('./files');
+const Util = require('./util');
+
+// `cache` holds the packs that have been read, keyed by the path of
+// the pack file.  Packs are named after their content, so a pack at a
+// given path never changes.
+const cache = {};
+
+const Pack = {
+  TYPES: {
+    commit: 1, tree: 2, blob: 3, tag: 4, ofsDelta: 6, refDelta: 7,
+  },
+
+  // The number of recent objects that are tried as a delta base, and
+  // the longest chain of deltas allowed before an object is stored
+  // whole.
+  WINDOW: 10,
+  MAX_DEPTH: 10,
+
+  // **dir()** returns the path of the directory that holds the packs.
+  dir() {
+    return nodePath.join(Files.gitletPath(), 'objects', 'pack');
+  },
+
+  // **names()** returns the names of all the packs in the repository,
+  // like `pack-<checksum>`.
+  names() {
+    if (!fs.existsSync(Pack.dir())) {
+      return [];
+    }
+    return fs.readdirSync(Pack.dir())
+      .filter(n => n.match(/^pack-[0-9a-f]+\.idx$/))
+      .map(n => n.replace(/\.idx$/, ''))
+      .filter(n => fs.existsSync(nodePath.join(Pack.dir(), `${n}.pack`)));
+  },
+
+  // **build()** takes an array of objects like `{ hash, type, data }`,
+  // where `data` is a buffer of the content.  It returns a pack that
+  // holds them, along with its index and checksum.  `algorithm` is
+  // the hash algorithm of the repository.
+  build(objects, algorithm = 'sha1') {
+    // Sort the objects so that objects of the same type and similar
+    // size are next to each other.  Larger objects come first, so
+    // smaller objects are stored as deltas against them.
+    const sorted = objects.slice()
+      .sort((a, b) => a.type.localeCompare(b.type) || b.data.length - a.data.length);
+
+    const offsets = {};
+    const depths = {};
+    const crcs = {};
+    let offset = 12;
+    const entries = sorted.map((o, i) => {
+      // Try each of the recent objects of the same type as a delta
+      // base.  Keep the smallest delta, if it is less than half the
+      // size of the object.
+      const best = sorted.slice(Math.max(i - Pack.WINDOW, 0), i)
+        .filter(b => b.type === o.type && depths[b.hash] < Pack.MAX_DEPTH)
+        .map(b => ({ base: b, delta: Pack.delta(b.data, o.data) }))
+        .filter(d => d.delta.length < o.data.length / 2)
+        .reduce((smallest, d) => (smallest === undefined
+          || d.delta.length < smallest.delta.length ? d : smallest), undefined);
+
+      const entry = best === undefined
+        ? Buffer.concat([Pack.entryHeader(Pack.TYPES[o.type], o.data.length),
+          zlib.deflateSync(o.data)])
+        : Buffer.concat([Pack.entryHeader(Pack.TYPES.ofsDelta, best.delta.length),
+          Pack.encodeOffset(offset - offsets[best.base.hash]),
+          zlib.deflateSync(best.delta)]);
+
+      offsets[o.hash] = offset;
+      depths[o.hash] = best === undefined ? 0 : depths[best.base.hash] + 1;
+      crcs[o.hash] = Pack.crc32(entry);
+      offset += entry.length;
+      return entry;
+    });
+
+    const header = Buffer.alloc(12);
+    header.write('PACK', 0);
+    header.writeUInt32BE(2, 4);
+    header.writeUInt32BE(sorted.length, 8);
+    const body = Buffer.concat([header].concat(entries));
+    const checksum = Util.hash(body, algorithm);
+    const pack = Buffer.concat([body, Buffer.from(checksum, 'hex')]);
+
+    return {
+      pack,
+      index: Pack.buildIndex(offsets, crcs, checksum, algorithm),
+      checksum,
+    };
+  },
+
+  // **buildIndex()** returns the index for a pack.  `offsets` and
+  // `crcs` map each object hash to its offset in the pack and the
+  // CRC-32 of its entry.  The index has a table of how many hashes
+  // start with each byte value or less, then the sorted hashes, their
+  // CRC-32s and their offsets, then the checksums of the pack and the
+  // index.
+  buildIndex(offsets, crcs, checksum, algorithm) {
+    const hashes = Object.keys(offsets).sort();
+    const uint32 = (n) => {
+      const b = Buffer.alloc(4);
+      b.writeUInt32BE(n, 0);
+      return b;
+    };
+
+    const fanout = Buffer.alloc(256 * 4);
+    for (let i = 0; i < 256; i += 1) {
+      fanout.writeUInt32BE(hashes.filter(h => parseInt(h.slice(0, 2), 16) <= i).length, i * 4);
+    }
+
+    hashes.forEach((h) => {
+      if (offsets[h] >= 0x80000000) {
+        throw new Error('packs larger than 2GB are not supported');
+      }
+    });
+
+    const body = Buffer.concat([Buffer.from([0xff, 0x74, 0x4f, 0x63]), uint32(2), fanout]
+      .concat(hashes.map(h => Buffer.from(h, 'hex')))
+      .concat(hashes.map(h => uint32(crcs[h])))
+      .concat(hashes.map(h => uint32(offsets[h])))
+      .concat([Buffer.from(checksum, 'hex')]));
+    return Buffer.concat([body, Buffer.from(Util.hash(body, algorithm), 'hex')]);
+  },
+
+  // **store()** writes the pack `built`, as returned by `build()`, to
+  // the pack directory.  It returns the name of the pack.
+  store(built) {
+    const name = `pack-${built.checksum}`;
+    const path = nodePath.join(Pack.dir(), name);
+    if (!fs.existsSync(`${path}.pack`)) {
+      Files.write(`${path}.pack`, built.pack);
+      Files.write(`${path}.idx`, built.index);
+    }
+    return name;
+  },
+
+  // **write()** packs `objects` (see `build()`), writes the pack to
+  // the pack directory and returns its name.
+  write(objects, algorithm) {
+    return Pack.store(Pack.build(objects, algorithm));
+  },
+
+  // **rm()** removes the pack called `name` and its index.
+  rm(name) {
+    ['pack', 'idx'].forEach((ext) => {
+      const path = nodePath.join(Pack.dir(), `${name}.${ext}`);
+      delete cache[path];
+      if (fs.existsSync(path)) {
+        fs.unlinkSync(path);
+      }
+    });
+  },
+
+  // **load()** reads the pack called `name` and its index.  It
+  // returns the content of the pack, an object that maps each hash
+  // in the pack to its offset, an object that maps each offset to the
+  // offset where its entry ends and the length of the hashes in bytes.
+  load(name) {
+    const path = Pack.path(name);
+    if (cache[path] === undefined) {
+      const pack = fs.readFileSync(path);
+      const index = fs.readFileSync(nodePath.join(Pack.dir(), `${name}.idx`));
+      if (index.readUInt32BE(0) !== 0xff744f63 || index.readUInt32BE(4) !== 2) {
+        throw new Error(`${name}.idx is not a version 2 pack index`);
+      }
+
+      // Work out the length of the hashes from the size of the index.
+      // It holds a hash, a CRC-32 and an offset for each object, plus
+      // two checksums.
+      const count = index.readUInt32BE(8 + 255 * 4);
+      const hashLength = (index.length - 8 - 256 * 4 - count * 8) / (count + 2);
+      const hashesStart = 8 + 256 * 4;
+      const offsetsStart = hashesStart + count * (hashLength + 4);
+
+      const offsets = {};
+      for (let i = 0; i < count; i += 1) {
+        const hash = index.toString('hex', hashesStart + i * hashLength,
+          hashesStart + (i + 1) * hashLength);
+        offsets[hash] = index.readUInt32BE(offsetsStart + i * 4);
+      }
+
+      // Each entry ends where the next one starts.  The last one ends
+      // at the checksum at the end of the pack.
+      const ends = {};
+      const sortedOffsets = Object.keys(offsets).map(h => offsets[h]).sort((a, b) => a - b);
+      sortedOffsets.forEach((o, i) => {
+        ends[o] = i + 1 < sortedOffsets.length ? sortedOffsets[i + 1] : pack.length - hashLength;
+      });
+
+      cache[path] = {
+        pack, offsets, ends, hashLength,
+      };
+    }
+
+    return cache[path];
+  },
+
+  // **has()** returns true if `hash` is in any pack.
+  has(hash) {
+    return Pack.nameOf(hash) !== undefined;
+  },
+
+  // **nameOf()** returns the name of the pack that holds `hash`, or
+  // `undefined` if no pack holds it.
+  nameOf(hash) {
+    return Pack.names().filter(n => Pack.load(n).offsets[hash] !== undefined)[0];
+  },
+
+  // **path()** returns the path of the pack file of the pack `name`.
+  path(name) {
+    return nodePath.join(Pack.dir(), `${name}.pack`);
+  },
+
+  // **allHashes()** returns an array of the hashes of all the objects
+  // in all the packs.
+  allHashes() {
+    return Util.unique(Util.flatten(Pack.names().map(n => Object.keys(Pack.load(n).offsets))));
+  },
+
+  // **read()** returns the type and content of the object `hash`, like
+  // `{ type: "blob", data: <Buffer> }`.  It returns `undefined` if
+  // `hash` is not in any pack.
+  read(hash) {
+    const name = Pack.nameOf(hash);
+    if (name !== undefined) {
+      return Pack.readAt(Pack.load(name), Pack.load(name).offsets[hash]);
+    }
+    return undefined;
+  },
+
+  // **readAt()** reads the entry at `offset` in the loaded pack
+  // `loaded`.  If the entry is a delta, it reads the base object and
+  // applies the delta to it.
+  readAt(loaded, offset) {
+    const { pack, ends, hashLength } = loaded;
+
+    // Read the type and size header.  The size is not needed, because
+    // the compressed content runs to the end of the entry.
+    let i = offset;
+    let c = pack[i];
+    i += 1;
+    const type = (c >> 4) & 7;
+    while (c & 0x80) {
+      c = pack[i];
+      i += 1;
+    }
+
+    if (type === Pack.TYPES.ofsDelta) {
+      c = pack[i];
+      i += 1;
+      let distance = c & 0x7f;
+      while (c & 0x80) {
+        c = pack[i];
+        i += 1;
+        distance = ((distance + 1) * 128) + (c & 0x7f);
+      }
+      const base = Pack.readAt(loaded, offset - distance);
+      const delta = zlib.inflateSync(pack.slice(i, ends[offset]));
+      return { type: base.type, data: Pack.applyDelta(base.data, delta) };
+    } if (type === Pack.TYPES.refDelta) {
+      const base = Pack.read(pack.toString('hex', i, i + hashLength));
+      const delta = zlib.inflateSync(pack.slice(i + hashLength, ends[offset]));
+      return { type: base.type, data: Pack.applyDelta(base.data, delta) };
+    }
+
+    const typeName = Object.keys(Pack.TYPES).filter(t => Pack.TYPES[t] === type)[0];
+    return { type: typeName, data: zlib.inflateSync(pack.slice(i, ends[offset])) };
+  },
+
+  // **entryHeader()** returns the header of a pack entry of the
+  // numeric type `type` with content `size` bytes long.  The first
+  // byte holds the type and the lowest four bits of the size.  Each
+  // following byte holds seven more bits of the size.  The top bit of
+  // each byte says whether another byte follows.
+  entryHeader(type, size) {
+    const bytes = [];
+    let c = (type << 4) | (size & 0x0f);
+    let rest = Math.floor(size / 16);
+    while (rest > 0) {
+      bytes.push(c | 0x80);
+      c = rest & 0x7f;
+      rest = Math.floor(rest / 128);
+    }
+    return Buffer.from(bytes.concat(c));
+  },
+
+  // **encodeOffset()** encodes the distance back from a delta entry
+  // to its base entry.  Seven bits go in each byte, most significant
+  // first.  The top bit of each byte says whether another byte
+  // follows.
+  encodeOffset(distance) {
+    const bytes = [distance & 0x7f];
+    let rest = Math.floor(distance / 128);
+    while (rest > 0) {
+      rest -= 1;
+      bytes.unshift(0x80 | (rest & 0x7f));
+      rest = Math.floor(rest / 128);
+    }
+    return Buffer.from(bytes);
+  },
+
+  // **encodeSize()** encodes `size` seven bits to a byte, least
+  // significant first, for the header of a delta.
+  encodeSize(size) {
+    const bytes = [];
+    let rest = size;
+    do {
+      bytes.push((rest & 0x7f) | (rest >= 128 ? 0x80 : 0));
+      rest = Math.floor(rest / 128);
+    } while (rest > 0);
+    return Buffer.from(bytes);
+  },
+
+  // **delta()** returns a delta that turns the buffer `source` into
+  // the buffer `target`.  `source` is split into blocks of 16 bytes.
+  // At each position in `target`, if the next 16 bytes match a block,
+  // the match is extended as far as it goes and a copy instruction is
+  // written.  Bytes that do not match are written as insert
+  // instructions.
+  delta(source, target) {
+    const blockSize = 16;
+    const blocks = new Map();
+    for (let i = 0; i + blockSize <= source.length; i += blockSize) {
+      const key = source.toString('latin1', i, i + blockSize);
+      if (!blocks.has(key)) {
+        blocks.set(key, i);
+      }
+    }
+
+    const out = [Pack.encodeSize(source.length), Pack.encodeSize(target.length)];
+
+    // **insert()** writes the bytes of `target` from `start` to `end`
+    // as insert instructions of up to 127 bytes each.
+    function insert(start, end) {
+      for (let i = start; i < end; i += 127) {
+        const length = Math.min(127, end - i);
+        out.push(Buffer.from([length]), target.slice(i, i + length));
+      }
+    }
+
+    // **copy()** writes copy instructions for `size` bytes of `source`
+    // from `offset`.  Only the non-zero bytes of the offset and size
+    // are written.  Bits in the instruction byte say which ones.
+    function copy(offset, size) {
+      for (let done = 0; done < size; done += 0xffffff) {
+        const chunkOffset = offset + done;
+        const chunkSize = Math.min(0xffffff, size - done);
+        const bytes = [];
+        let instruction = 0x80;
+        [0, 1, 2, 3].forEach((b) => {
+          const byte = Math.floor(chunkOffset / (2 ** (8 * b))) & 0xff;
+          if (byte !== 0) {
+            instruction |= 1 << b;
+            bytes.push(byte);
+          }
+        });
+        [0, 1, 2].forEach((b) => {
+          const byte = (chunkSize >> (8 * b)) & 0xff;
+          if (byte !== 0) {
+            instruction |= 0x10 << b;
+            bytes.push(byte);
+          }
+        });
+        out.push(Buffer.from([instruction].concat(bytes)));
+      }
+    }
+
+    let insertStart = 0;
+    let i = 0;
+    while (i + blockSize <= target.length) {
+      let start = blocks.get(target.toString('latin1', i, i + blockSize));
+      if (start === undefined) {
+        i += 1;
+      } else {
+        // Extend the match forwards, then backwards over bytes that
+        // would otherwise be inserted.
+        let length = blockSize;
+        while (i + length < target.length && start + length < source.length
+               && target[i + length] === source[start + length]) {
+          length += 1;
+        }
+        while (i > insertStart && start > 0 && target[i - 1] === source[start - 1]) {
+          i -= 1;
+          start -= 1;
+          length += 1;
+        }
+
+        insert(insertStart, i);
+        copy(start, length);
+        i += length;
+        insertStart = i;
+      }
+    }
+    insert(insertStart, target.length);
+
+    return Buffer.concat(out);
+  },
+
+  // **applyDelta()** applies the delta `delta` to the buffer `source`
+  // and returns the result.
+  applyDelta(source, delta) {
+    let i = 0;
+
+    // **readSize()** reads a size from the header of the delta.
+    function readSize() {
+      let size = 0;
+      let shift = 0;
+      let c;
+      do {
+        c = delta[i];
+        i += 1;
+        size += (c & 0x7f) * (2 ** shift);
+        shift += 7;
+      } while (c & 0x80);
+      return size;
+    }
+
+    if (readSize() !== source.length) {
+      throw new Error('delta base size does not match');
+    }
+    const target = Buffer.alloc(readSize());
+
+    let t = 0;
+    while (i < delta.length) {
+      const instruction = delta[i];
+      i += 1;
+      if (instruction & 0x80) {
+        let offset = 0;
+        let size = 0;
+        for (let b = 0; b < 4; b += 1) {
+          if (instruction & (1 << b)) {
+            offset += delta[i] * (2 ** (8 * b));
+            i += 1;
+          }
+        }
+        for (let b = 0; b < 3; b += 1) {
+          if (instruction & (0x10 << b)) {
+            size += delta[i] * (2 ** (8 * b));
+            i += 1;
+          }
+        }
+        size = size === 0 ? 0x10000 : size;
+        source.copy(target, t, offset, offset + size);
+        t += size;
+      } else if (instruction !== 0) {
+        delta.copy(target, t, i, i + instruction);
+        i += instruction;
+        t += instruction;
+      } else {
+        throw new Error('invalid delta instruction');
+      }
+    }
+
+    return target;
+  },
+
+  // **crc32()** returns the CRC-32 checksum of the buffer `buf`.
+  crc32(buf) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buf.length; i += 1) {
+      crc ^= buf[i];
+      for (let bit = 0; bit < 8; bit += 1) {
+        crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+      }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+};
+
+module.exports = Pack;
@@ -0,0 +1,139 @@
+// Rebase module
+// -------------
+
+// A rebase replays the commits on a branch, one by one, on top of
+// another commit, the onto commit, so that history stays linear.  It
+// can stop part way through, when a commit conflicts.  So the state
+// of the rebase is kept in the `.gitlet/rebase-merge` directory,
+// which has these files:
+// - `head-name`: the ref of the branch being rebased, like
+//   `refs/heads/master`, or `detached HEAD`.
+// - `onto`: the hash of the onto commit.
+// - `orig-head`: the hash of the commit the branch was on before the
+//   rebase.
+// - `todo`: the hashes of the commits still to be replayed, oldest
+//   first.
+// - `stopped-sha`: the hash of the commit being replayed.
+// While the commits are replayed, `HEAD` is detached.  The branch is
+// moved to the last replayed commit when the rebase is finished.
+
+const fs = require('fs');
+const Files = require('./files');
+const Index = require('./index');
+const Log = require('./log');
+const Merge = require('./merge');
+const Objects = require('./objects');
+const Refs = require('./refs');
+const Util = require('./util');
+
+const FILES = ['head-name', 'onto', 'orig-head', 'todo', 'stopped-sha'];
+
+const Rebase = {
+
+  // **path()** returns the path of the state file `name`.
+  path(name) {
+    return Files.gitletPath(`rebase-merge/${name}`);
+  },
+
+  // **isInProgress()** returns true if the repository is in the middle
+  // of a rebase.
+  isInProgress() {
+    return fs.existsSync(Rebase.path('head-name'));
+  },
+
+  // **readState()** returns the state of the rebase, like `{ headName:
+  // "refs/heads/master", onto: hash(1), origHead: hash(2), todo:
+  // [hash(3)], stoppedSha: hash(4) }`.
+  readState() {
+    const read = name => (fs.existsSync(Rebase.path(name)) ? Files.read(Rebase.path(name)) : '');
+    return {
+      headName: read('head-name'),
+      onto: read('onto'),
+      origHead: read('orig-head'),
+      todo: Util.lines(read('todo')),
+      stoppedSha: read('stopped-sha') || undefined,
+    };
+  },
+
+  // **writeState()** writes the values in `state` (see `readState()`)
+  // to the state files.
+  writeState(state) {
+    const contents = {
+      'head-name': state.headName,
+      onto: state.onto,
+      'orig-head': state.origHead,
+      todo: state.todo === undefined ? undefined : state.todo.map(h => `${h}\n`).join(''),
+      'stopped-sha': state.stoppedSha,
+    };
+    Object.keys(contents).filter(n => contents[n] !== undefined).forEach((n) => {
+      Files.write(Rebase.path(n), contents[n]);
+    });
+  },
+
+  // **clear()** removes the state of the rebase, which ends it.
+  clear() {
+    FILES.filter(n => fs.existsSync(Rebase.path(n))).forEach((n) => {
+      fs.unlinkSync(Rebase.path(n));
+    });
+    fs.rmdirSync(Files.gitletPath('rebase-merge'));
+  },
+
+  // **commit()** commits the index as the replayed version of the
+  // commit `hash`, with its message and author.  If the index has no
+  // changes from `HEAD`, no commit is made, because the changes in
+  // `hash` are already there.
+  commit(hash) {
+    const commit = Objects.read(hash);
+    const message = Objects.commitMessage(commit);
+    const headHash = Refs.hash('HEAD');
+    const treeHash = Objects.writeTree(Files.nestFlatTree(Index.toc()), Index.modes());
+    if (treeHash !== Objects.treeHash(Objects.read(headHash))) {
+      Refs.write('HEAD',
+        Objects.writeCommit(treeHash, message, [headHash], Objects.commitAuthor(commit)),
+        `rebase (pick): ${message.split('\n')[0]}`);
+    }
+  },
+
+  // **replay()** replays the commits left in the todo list onto
+  // `HEAD`, one by one.  It stops if a commit conflicts, leaving the
+  // conflicts in the index and working copy.  Once the list is empty,
+  // it finishes the rebase.  It returns a report of what happened.
+  replay() {
+    const state = Rebase.readState();
+    while (state.todo.length > 0) {
+      const hash = state.todo.shift();
+      Rebase.writeState({ todo: state.todo, stoppedSha: hash });
+
+      const commit = Objects.read(hash);
+      const summary = Log.format(hash, true)[0];
+      const conflicts = Merge.writePick(Merge.mergeDiff(Refs.hash('HEAD'), hash,
+        Objects.parentHashes(commit)[0]), summary);
+      if (conflicts.length > 0) {
+        return conflicts.map(p => `CONFLICT (content): Merge conflict in ${p}`)
+          .concat(`could not apply ${summary}`,
+            'Resolve all conflicts, mark them as resolved with "gitlet add <path>", then run '
+              + '"gitlet rebase --continue".  Run "gitlet rebase --skip" to skip this commit, '
+              + 'or "gitlet rebase --abort" to get back to where you were.')
+          .join('\n');
+      }
+      Rebase.commit(hash);
+    }
+
+    return Rebase.finish(state);
+  },
+
+  // **finish()** points the branch being rebased at the last replayed
+  // commit, checks it out again and ends the rebase.
+  finish(state) {
+    if (state.headName !== 'detached HEAD') {
+      Refs.write(state.headName, Refs.hash('HEAD'),
+        `rebase (finish): ${state.headName} onto ${state.onto}`);
+      Refs.write('HEAD', `ref: ${state.headName}`,
+        `rebase (finish): returning to ${state.headName}`);
+    }
+    Rebase.clear();
+    return `Successfully rebased and updated ${state.headName}.`;
+  },
+};
+
+module.exports = Rebase;
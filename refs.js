@@ -3,10 +3,15 @@
 
 // Refs are names for commit hashes.  The ref is the name of a file.
 // Some refs represent local branches, like `refs/heads/master` or
-// `refs/heads/feature`.  Some represent remote branches, like
-// `refs/remotes/origin/master`.  Some represent important states of
-// the repository, like `HEAD`, `MERGE_HEAD` and `FETCH_HEAD`.  Ref
-// files contain either a hash or another ref.
+// `refs/heads/feature/login`.  A branch name with slashes is stored
+// in nested directories.  Some represent remote branches, like
+// `refs/remotes/origin/master`.  Some represent tags, like
+// `refs/tags/v1.0`.  `refs/stash` points at the newest stash (see
+// `Gitlet.stash()`).  Some represent important states of the
+// repository, like `HEAD`, `MERGE_HEAD`, `FETCH_HEAD` and
+// `CHERRY_PICK_HEAD`.  Ref files contain either a hash or another
+// ref.  A tag ref contains the hash of a commit (a lightweight tag)
+// or of a tag object (an annotated tag).
 
 const fs = require('fs');
 const nodePath = require('path');
@@ -21,9 +26,43 @@ const Refs = {
   // syntax.
   isRef(ref) {
     return ref !== undefined
-        && (ref.match('^refs/heads/[A-Za-z-]+$')
-         || ref.match('^refs/remotes/[A-Za-z-]+/[A-Za-z-]+$')
-         || ['HEAD', 'FETCH_HEAD', 'MERGE_HEAD'].indexOf(ref) !== -1);
+        && ((ref.match('^refs/(heads|tags)/.') !== null && Refs.isValidName(ref))
+         || (ref.match('^refs/remotes/[^/]+/.') !== null && Refs.isValidName(ref))
+         || ['HEAD', 'FETCH_HEAD', 'MERGE_HEAD', 'ORIG_HEAD', 'CHERRY_PICK_HEAD', 'REVERT_HEAD',
+           'refs/stash'].indexOf(ref) !== -1);
+  },
+
+  // **isValidName()** returns true if `name` follows Git's rules for
+  // the names of refs.  A name can have parts separated by slashes,
+  // like `feature/login`.  It cannot:
+  // - be empty or `@`, or start or end with `/`, or end with `.`.
+  // - have a part that starts with `.` or ends with `.lock`.
+  // - contain `..`, `//`, `@{` or `\`.
+  // - contain a space, a control character or any of `~^:?*[`.
+  isValidName(name) {
+    return typeof name === 'string'
+        && name !== '' && name !== '@'
+        && name.match(/^\/|\/$|\.$|\.\.|\/\/|@\{|\\|[ ~^:?*[]/) === null
+        && name.split('').filter(c => c.charCodeAt(0) < 0x20 || c.charCodeAt(0) === 0x7f)
+          .length === 0
+        && name.split('/').filter(p => p.startsWith('.') || p.endsWith('.lock')).length === 0;
+  },
+
+  // **isValidBranchName()** returns true if `name` can be the name of
+  // a local branch.  As well as being a valid ref name, it cannot be
+  // `HEAD` or start with `-`.
+  isValidBranchName(name) {
+    return Refs.isValidName(name) && name !== 'HEAD' && !name.startsWith('-');
+  },
+
+  // **conflictingRef()** returns a ref that stops `ref` being
+  // written, because one of the two refs would have to be both a file
+  // and a directory, like `refs/heads/feature` and
+  // `refs/heads/feature/login`.  It returns `undefined` if there is
+  // no such ref.
+  conflictingRef(ref) {
+    return Object.keys(Refs.allRefs())
+      .filter(r => r.startsWith(`${ref}/`) || ref.startsWith(`${r}/`))[0];
   },
 
   // **terminalRef()** resolves `ref` to the most specific ref
@@ -38,6 +77,11 @@ const Refs = {
     } if (Refs.isRef(ref)) {
       return ref;
 
+      // If ref is the name of a tag, and not of a local branch,
+      // turn it into a qualified tag ref (like `refs/tags/v1.0`).
+    } if (!Refs.exists(Refs.toLocalRef(ref)) && Refs.exists(Refs.toTagRef(ref))) {
+      return Refs.toTagRef(ref);
+
       // Otherwise, assume ref is an unqualified local ref (like
       // `master`) and turn it into a qualified ref (like
       // `refs/heads/master`)
@@ -45,8 +89,16 @@ const Refs = {
     return Refs.toLocalRef(ref);
   },
 
-  // **hash()** returns the hash that `refOrHash` points to.
+  // **hash()** returns the hash that `refOrHash` points to.  If that
+  // is the hash of a tag object, the tag is followed to the object it
+  // tags.
   hash(refOrHash) {
+    return Objects.peel(Refs.target(refOrHash));
+  },
+
+  // **target()** is like `hash()`, except tag objects are not
+  // followed.
+  target(refOrHash) {
     if (Objects.exists(refOrHash)) {
       return refOrHash;
     }
@@ -56,6 +108,7 @@ const Refs = {
     } if (Refs.exists(terminalRef)) {
       return Files.read(Files.gitletPath(terminalRef));
     }
+    return undefined;
   },
 
   // **isHeadDetached()** returns true if `HEAD` contains a commit
@@ -82,19 +135,151 @@ const Refs = {
     return `refs/remotes/${remote}/${name}`;
   },
 
+  // **toTagRef()** converts the tag name `name` into a qualified tag
+  // ref.
+  toTagRef(name) {
+    return `refs/tags/${name}`;
+  },
+
+  // **upstream()** returns the qualified remote ref that the local
+  // branch `branch` tracks, like `refs/remotes/origin/master`.  It
+  // returns `undefined` if `branch` does not track a remote branch.
+  upstream(branch) {
+    const remote = Config.get(`branch.${branch}.remote`);
+    const merge = Config.get(`branch.${branch}.merge`);
+    if (remote !== undefined && merge !== undefined) {
+      return Refs.toRemoteRef(remote, merge.replace(/^refs\/heads\//, ''));
+    }
+    return undefined;
+  },
+
+  // **setUpstream()** records that the local branch `branch` tracks
+  // the branch `remoteBranch` on `remote`.
+  setUpstream(branch, remote, remoteBranch) {
+    Config.write(Util.setIn(Util.setIn(Config.read(), ['branch', branch, 'remote', remote]),
+      ['branch', branch, 'merge', Refs.toLocalRef(remoteBranch)]));
+  },
+
   // **write()** sets the content of the file for the qualified ref
-  // `ref` to `content`.
-  write(ref, content) {
-    if (Refs.isRef(ref)) {
-      Files.write(Files.gitletPath(nodePath.normalize(ref)), content);
+  // `ref` to `content`.  It throws if `ref` is not a valid ref.  If
+  // `ref` has a log (see `isLogged()`), the move is recorded in it,
+  // with the reason `message`.  A move of the branch that `HEAD` is
+  // on is recorded in the log of `HEAD`, too.
+  write(ref, content, message = 'update') {
+    if (!Refs.isRef(ref)) {
+      throw new Error(`'${ref}' is not a valid ref name`);
+    }
+
+    const oldHash = Refs.isLogged(ref) ? Refs.target(ref) : undefined;
+    Files.write(Files.gitletPath(nodePath.normalize(ref)), content);
+    if (Refs.isLogged(ref)) {
+      const newHash = Refs.target(ref);
+      Refs.writeLog(ref, oldHash, newHash, message);
+      if (ref !== 'HEAD' && !Refs.isHeadDetached() && ref === Refs.terminalRef('HEAD')) {
+        Refs.writeLog('HEAD', oldHash, newHash, message);
+      }
     }
   },
 
-  // **rm()** removes the file for the qualified ref `ref`.
+  // **rm()** removes the file for the qualified ref `ref`, its log,
+  // and any directories of nested refs that are left empty.  It
+  // throws if `ref` is not a valid ref.
   rm(ref) {
-    if (Refs.isRef(ref)) {
-      fs.unlinkSync(Files.gitletPath(ref));
+    if (!Refs.isRef(ref)) {
+      throw new Error(`'${ref}' is not a valid ref name`);
+    }
+    [ref, `logs/${ref}`].filter(p => fs.existsSync(Files.gitletPath(p))).forEach((path) => {
+      fs.unlinkSync(Files.gitletPath(path));
+      for (let dir = nodePath.posix.dirname(path);
+        dir.split('/').length > (path === ref ? 2 : 3)
+          && fs.readdirSync(Files.gitletPath(dir)).length === 0;
+        dir = nodePath.posix.dirname(dir)) {
+        fs.rmdirSync(Files.gitletPath(dir));
+      }
+    });
+  },
+
+  // **isLogged()** returns true if the moves of `ref` are recorded in
+  // a log.  `HEAD`, local branches, remote branches and `refs/stash`
+  // have logs.
+  isLogged(ref) {
+    return ref === 'HEAD' || ref === 'refs/stash' || ref.match(/^refs\/(heads|remotes)\//) !== null;
+  },
+
+  // **loggedRefs()** returns the refs that have logs, like `["HEAD",
+  // "refs/heads/master"]`.
+  loggedRefs() {
+    return Files.lsRecursive(Files.gitletPath('logs'))
+      .map(p => nodePath.relative(Files.gitletPath('logs'), p).split(nodePath.sep).join('/'));
+  },
+
+  // **writeLog()** records in the log of `ref` that it was moved from
+  // `oldHash` to `newHash`, and why, in `message`.  The log is stored
+  // in `.gitlet/logs/`, at the same path as the ref, like Git's
+  // reflog.  Each line is like `hash(1) hash(2) Ada Lovelace
+  // <ada@example.com> 1514764800 +0100<tab>checkout: moving from
+  // master to feature`.  A missing hash is written as zeros.
+  writeLog(ref, oldHash, newHash, message) {
+    const zeros = '0'.repeat(Objects.hash('').length);
+    const path = Files.gitletPath(nodePath.join('logs', ref));
+    const previous = fs.existsSync(path) ? Files.read(path) : '';
+    Files.write(path, `${previous}${oldHash || zeros} ${newHash || zeros} ${
+      Objects.signature('committer')}\t${message.split('\n')[0]}\n`);
+  },
+
+  // **expireLog()** removes the entries in the log of `ref` that were
+  // written before `time`, in milliseconds since the epoch.  It
+  // returns the number of entries removed.
+  expireLog(ref, time) {
+    const path = Files.gitletPath(nodePath.join('logs', ref));
+    const lines = fs.existsSync(path) ? Util.lines(Files.read(path)) : [];
+    const entries = Refs.readLog(ref);
+    const kept = lines.filter((l, i) => entries[i].time * 1000 >= time);
+    if (kept.length < lines.length) {
+      Files.write(path, kept.map(l => `${l}\n`).join(''));
     }
+    return lines.length - kept.length;
+  },
+
+  // **rmLogEntry()** removes the `n`th newest entry from the log of
+  // `ref`.  If that was the newest entry, `ref` is pointed at the
+  // hash of the entry that is now the newest, or is removed if the
+  // log is empty.  This makes the log a stack, like the stack of
+  // stashes in the log of `refs/stash`.
+  rmLogEntry(ref, n) {
+    const path = Files.gitletPath(nodePath.join('logs', ref));
+    const kept = Util.lines(Files.read(path)).reverse().filter((l, i) => i !== n).reverse();
+    Files.write(path, kept.map(l => `${l}\n`).join(''));
+    if (kept.length === 0) {
+      Refs.rm(ref);
+    } else if (n === 0) {
+      Files.write(Files.gitletPath(ref), Refs.readLog(ref).pop().newHash);
+    }
+  },
+
+  // **readLog()** returns the entries in the log of `ref`, oldest
+  // first, like `{ oldHash: hash(1), newHash: hash(2), name: "Ada
+  // Lovelace", email: "ada@example.com", time: 1514764800, tz:
+  // "+0100", message: "commit: first" }`.  A missing hash is
+  // `undefined`.
+  readLog(ref) {
+    const path = Files.gitletPath(nodePath.join('logs', ref));
+    if (!fs.existsSync(path)) {
+      return [];
+    }
+    return Util.lines(Files.read(path)).map((line) => {
+      const pieces = line.match(/^([0-9a-f]+) ([0-9a-f]+) (.*) <(.*)> (\d+) ([+-]\d{4})\t(.*)$/);
+      const hash = h => (h.match(/^0+$/) ? undefined : h);
+      return {
+        oldHash: hash(pieces[1]),
+        newHash: hash(pieces[2]),
+        name: pieces[3],
+        email: pieces[4],
+        time: parseInt(pieces[5], 10),
+        tz: pieces[6],
+        message: pieces[7],
+      };
+    });
   },
 
   // **fetchHeadBranchToMerge()** reads the `FETCH_HEAD` file and gets
@@ -102,20 +287,45 @@ const Refs = {
   // information about `FETCH_HEAD` see [gitlet.fetch()](#section-80).
   fetchHeadBranchToMerge(branchName) {
     return Util.lines(Files.read(Files.gitletPath('FETCH_HEAD')))
-      .filter(l => l.match(`^.+ branch ${branchName} of`))
+      .filter(l => l.indexOf(` branch ${branchName} of `) !== -1)
       .map(l => l.match('^([^ ]+) ')[1])[0];
   },
 
-  // **localHeads()** returns a JS object that maps local branch names
-  // to the hash of the commit they point to.
+  // **localHeads()** returns a JS object that maps local branch names,
+  // like `feature/login`, to the hash of the commit they point to.
   localHeads() {
-    return fs.readdirSync(nodePath.join(Files.gitletPath(), 'refs', 'heads'))
-      .reduce((o, n) => Util.setIn(o, [n, Refs.hash(n)]), {});
+    const refs = Refs.allRefs();
+    return Object.keys(refs)
+      .filter(ref => ref.startsWith('refs/heads/'))
+      .reduce((o, ref) => Util.setIn(o, [ref.replace(/^refs\/heads\//, ''), refs[ref]]), {});
+  },
+
+  // **tags()** returns a JS object that maps tag names to the hash
+  // of the commit or tag object they point to.
+  tags() {
+    const refs = Refs.allRefs();
+    return Object.keys(refs)
+      .filter(ref => ref.startsWith('refs/tags/'))
+      .reduce((o, ref) => Util.setIn(o, [ref.replace(/^refs\/tags\//, ''), refs[ref]]), {});
+  },
+
+  // **allRefs()** returns a JS object that maps every qualified ref
+  // under `refs/`, like `refs/heads/master` or
+  // `refs/remotes/origin/master`, to the hash it points to.  Tag
+  // objects are not followed.
+  allRefs() {
+    return Files.lsRecursive(Files.gitletPath('refs'))
+      .map(p => nodePath.relative(Files.gitletPath(), p).split(nodePath.sep).join('/'))
+      .filter(Refs.isRef)
+      .reduce((o, ref) => Util.setIn(o, [ref, Refs.target(ref)]), {});
   },
 
-  // **exists()** returns true if the qualified ref `ref` exists.
+  // **exists()** returns true if the qualified ref `ref` exists.  A
+  // directory of nested refs, like `refs/heads/feature` when there is
+  // a `refs/heads/feature/login`, is not a ref.
   exists(ref) {
-    return Refs.isRef(ref) && fs.existsSync(Files.gitletPath(ref));
+    return Refs.isRef(ref) && fs.existsSync(Files.gitletPath(ref))
+      && fs.statSync(Files.gitletPath(ref)).isFile();
   },
 
   // **headBranchName()** returns the name of the branch that `HEAD`
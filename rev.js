@@ -0,0 +1,250 @@
+// Rev module
+// ----------
+
+// Parses revisions: the expressions used on the command line to name
+// objects.  A revision starts with one of:
+// - A hash, or the first four or more characters of a hash, as long
+//   as no other object's hash starts with them.
+// - A ref, like `master`, `feature/login`, `v1.0`, `origin/master`,
+//   `stash`, `refs/heads/master` or `HEAD`.  `@` is short for `HEAD`.
+// - `@{-N}`: the branch that was checked out `N` checkouts ago.
+//
+// It can be followed by any number of:
+// - `@{N}`: the commit that the ref pointed at `N` moves ago, read
+//   from its log.  `HEAD@{N}` reads the log of `HEAD`.  Straight
+//   after `@` or at the start, it reads the log of the current branch.
+// - `@{upstream}`, or `@{u}`: the remote branch that the branch
+//   tracks.  Straight after `@` or at the start, it means the remote
+//   branch that the current branch tracks.
+// - `~N`: the commit `N` generations back, following first parents.
+//   `~` is short for `~1`.
+// - `^N`: the `N`th parent of the commit.  `^` is short for `^1` and
+//   `^0` is the commit itself.
+// - `^{type}`: the object that tags are followed to, until an object
+//   of `type` (`commit`, `tree`, `blob` or `tag`) is found.  A commit
+//   is followed to its tree.  `^{}` follows tags to whatever they
+//   tag.
+//
+// `rev:path` is the blob or tree at `path` in the commit `rev`.
+// `:path` is the blob for `path` in the index and `:N:path` is the
+// blob for `path` at stage `N` of the index.
+//
+// Some commands take ranges.  `A..B` is the commits reachable from
+// `B` but not from `A`.  `A...B` is the commits reachable from either
+// `A` or `B`, but not from their merge bases.  A missing side of a
+// range means `HEAD`.
+
+const Index = require('./index');
+const Merge = require('./merge');
+const Objects = require('./objects');
+const Refs = require('./refs');
+
+const Rev = {
+
+  // **parse()** returns the hash of the object that the revision
+  // `rev` names.  Tag objects are not followed (see `hash()`).  It
+  // returns `undefined` if there is no such object.  It throws if
+  // `rev` is an abbreviated hash that more than one object has.
+  parse(rev) {
+    if (rev === undefined) {
+      return undefined;
+    }
+
+    // Look up paths in the index, or in the tree of a commit.
+    const indexPath = rev.match(/^:(?:([0-3]):)?(.+)$/);
+    if (indexPath !== null) {
+      return Index.read()[Index.key(indexPath[2], parseInt(indexPath[1] || '0', 10))];
+    } if (rev.indexOf(':') !== -1) {
+      const i = rev.indexOf(':');
+      return Rev.treePath(Rev.parse(rev.slice(0, i)), rev.slice(i + 1));
+    }
+
+    // Split `rev` into the name it starts with and its suffixes.
+    const start = rev.search(/[~^]|@\{/);
+    let name = start === -1 ? rev : rev.slice(0, start);
+    let rest = start === -1 ? '' : rev.slice(start);
+
+    // Turn `@{-N}` into the name of the branch, `@{N}` into the hash
+    // from the log and `@{upstream}` into the name of the remote
+    // branch.
+    let brace = rest.match(/^@\{([^}]*)\}/);
+    while (brace !== null) {
+      if (brace[1].match(/^-\d+$/) && name === '') {
+        name = Rev.previousBranch(parseInt(brace[1].slice(1), 10));
+      } else if (brace[1].match(/^\d+$/)) {
+        const entry = Refs.readLog(Rev.logRef(name)).reverse()[parseInt(brace[1], 10)];
+        name = entry === undefined ? undefined : entry.newHash;
+      } else if (brace[1] === 'upstream' || brace[1] === 'u') {
+        name = Rev.upstream(name);
+      } else {
+        throw new Error(`invalid revision ${rev}`);
+      }
+
+      if (name === undefined) {
+        return undefined;
+      }
+      rest = rest.slice(brace[0].length);
+      brace = rest.match(/^@\{([^}]*)\}/);
+    }
+
+    // Apply the `~` and `^` suffixes to the object the name points at.
+    let hash = Rev.resolve(name);
+    while (rest !== '' && hash !== undefined) {
+      const suffix = rest.match(/^(?:~(\d*)|\^\{(\w*)\}|\^(\d*))/);
+      if (suffix === null) {
+        throw new Error(`invalid revision ${rev}`);
+      } if (suffix[1] !== undefined) {
+        // Like `^0`, `~0` follows tags to the commit.
+        hash = Rev.parent(hash, 0);
+        for (let i = 0; i < parseInt(suffix[1] || '1', 10) && hash !== undefined; i += 1) {
+          hash = Rev.parent(hash, 1);
+        }
+      } else if (suffix[2] !== undefined) {
+        hash = Rev.peel(hash, suffix[2]);
+      } else {
+        hash = Rev.parent(hash, parseInt(suffix[3] || '1', 10));
+      }
+      rest = rest.slice(suffix[0].length);
+    }
+
+    return hash;
+  },
+
+  // **hash()** is like `parse()`, except tag objects are followed to
+  // the object they tag, like `Refs.hash()`.
+  hash(rev) {
+    return Objects.peel(Rev.parse(rev));
+  },
+
+  // **range()** parses `expr`, a revision or a range of revisions,
+  // and returns the commits to include and exclude, like `{ include:
+  // [hash(b)], exclude: [hash(a)] }`.  A revision that starts with
+  // `^` is excluded.  If any revision in `expr` does not resolve, it
+  // returns `undefined`.
+  range(expr) {
+    const side = rev => Rev.hash(rev === '' ? 'HEAD' : rev);
+    const symmetric = expr.match(/^(.*?)\.\.\.(.*)$/);
+    const asymmetric = expr.match(/^(.*?)\.\.(.*)$/);
+    let range;
+    if (symmetric !== null) {
+      const [a, b] = [side(symmetric[1]), side(symmetric[2])];
+      const bases = a === undefined || b === undefined ? [] : Merge.mergeBases(a, b);
+      range = { include: [b, a], exclude: bases };
+    } else if (asymmetric !== null) {
+      range = { include: [side(asymmetric[2])], exclude: [side(asymmetric[1])] };
+    } else if (expr[0] === '^') {
+      range = { include: [], exclude: [Rev.hash(expr.slice(1))] };
+    } else {
+      range = { include: [Rev.hash(expr)], exclude: [] };
+    }
+
+    return range.include.concat(range.exclude).indexOf(undefined) === -1 ? range : undefined;
+  },
+
+  // **resolve()** returns the hash that `name`, a hash, an
+  // abbreviated hash or a ref, points at.  An empty name or `@` means
+  // `HEAD`.  If there is no branch or tag called `name`, it is looked
+  // for under `refs/`, like `stash`, then under `refs/remotes/`, like
+  // `origin/master`.
+  resolve(name) {
+    if (name === '' || name === '@') {
+      return Refs.target('HEAD');
+    }
+
+    const hash = Refs.target(name);
+    const ref = [`refs/${name}`, `refs/remotes/${name}`].filter(Refs.exists)[0];
+    if (hash !== undefined) {
+      return hash;
+    } if (ref !== undefined) {
+      return Refs.target(ref);
+    } if (name.match(/^[0-9a-f]{4,}$/)) {
+      const matches = Objects.allHashes().filter(h => h.startsWith(name));
+      if (matches.length > 1) {
+        throw new Error(`short hash ${name} is ambiguous`);
+      }
+      return matches[0];
+    }
+    return undefined;
+  },
+
+  // **parent()** returns the `n`th parent of the commit `hash`, or
+  // the commit itself if `n` is `0`.
+  parent(hash, n) {
+    const commit = Rev.peel(hash, 'commit');
+    if (commit === undefined || n === 0) {
+      return commit;
+    }
+    return Objects.parentHashes(Objects.read(commit))[n - 1];
+  },
+
+  // **peel()** follows tags from the object `hash` until it reaches
+  // an object of `type`, and returns its hash.  A commit is followed
+  // to its tree.  If `type` is empty, it returns the first object
+  // that is not a tag.  It returns `undefined` if there is no object
+  // of `type` to reach.
+  peel(hash, type) {
+    let current = hash;
+    while (current !== undefined) {
+      const currentType = Objects.typeOf(current);
+      if (currentType === type || (type === '' && currentType !== 'tag')) {
+        return current;
+      } if (currentType === 'tag') {
+        current = Objects.tagTarget(Objects.read(current)).hash;
+      } else if (currentType === 'commit' && type === 'tree') {
+        current = Objects.treeHash(Objects.read(current));
+      } else {
+        return undefined;
+      }
+    }
+    return undefined;
+  },
+
+  // **treePath()** returns the hash of the blob or tree at `path` in
+  // the commit or tree `hash`.  An empty `path` means the tree
+  // itself.
+  treePath(hash, path) {
+    return path.split('/').filter(p => p !== '').reduce((treeHash, name) => {
+      if (treeHash === undefined || Objects.typeOf(treeHash) !== 'tree') {
+        return undefined;
+      }
+      const entry = Objects.treeEntries(treeHash).filter(e => e.name === name)[0];
+      return entry === undefined ? undefined : entry.hash;
+    }, Rev.peel(hash, 'tree'));
+  },
+
+  // **logRef()** returns the qualified ref whose log `name` refers
+  // to.  An empty `name` or `@` means the current branch, or `HEAD` if
+  // the head is detached.  Other names are looked for under `refs/`,
+  // like `stash`, then `refs/heads/`, then `refs/remotes/`, like
+  // `origin/master`.
+  logRef(name) {
+    if (name === '' || name === '@') {
+      return Refs.terminalRef('HEAD');
+    } if (Refs.isRef(name)) {
+      return name;
+    }
+    return [`refs/${name}`, Refs.toLocalRef(name), `refs/remotes/${name}`]
+      .filter(r => Refs.readLog(r).length > 0)[0] || Refs.toLocalRef(name);
+  },
+
+  // **previousBranch()** returns the name of the branch, or the hash
+  // of the commit, that was checked out `n` checkouts ago.  It is
+  // read from the log of `HEAD`.
+  previousBranch(n) {
+    const moves = Refs.readLog('HEAD')
+      .map(e => e.message.match(/^checkout: moving from (\S+) to \S+$/))
+      .filter(m => m !== null)
+      .reverse();
+    return n > 0 && n <= moves.length ? moves[n - 1][1] : undefined;
+  },
+
+  // **upstream()** returns the name of the remote branch that the
+  // branch `name` tracks, like `refs/remotes/origin/master`.  An empty
+  // `name`, `@` or `HEAD` means the current branch.
+  upstream(name) {
+    const branch = ['', '@', 'HEAD'].indexOf(name) !== -1 ? Refs.headBranchName() : name;
+    return branch === undefined ? undefined : Refs.upstream(branch);
+  },
+};
+
+module.exports = Rev;
@@ -0,0 +1,66 @@
+// Test helpers
+// ------------
+
+// Makes repositories and commits for the checks to run against.
+
+const fs = require('fs');
+const os = require('os');
+const nodePath = require('path');
+const Gitlet = require('../gitlet');
+const Files = require('../files');
+const Refs = require('../refs');
+
+// The temporary directories made by `repo()`.
+const dirs = [];
+
+// The time, in seconds since the epoch, of the last commit made.
+let time = 1500000000;
+
+const Helpers = {
+
+  // **repo()** makes an empty repository in a new temporary directory
+  // and makes it the current directory.  `opts` are passed to
+  // `init()`.  It returns the path of the directory.
+  repo(opts = {}) {
+    const dir = fs.realpathSync(fs.mkdtempSync(nodePath.join(os.tmpdir(), 'gitlet-test-')));
+    dirs.push(dir);
+    process.chdir(dir);
+    Gitlet.init(opts);
+    return dir;
+  },
+
+  // **tick()** moves the time of the commits made after it on by a
+  // second, so each commit is newer than the one before it.
+  tick() {
+    time += 1;
+    process.env.GITLET_FIXED_DATE = `@${time} +0000`;
+  },
+
+  // **commit()** writes `files`, an object that maps paths to
+  // content, to the working copy, adds them and commits them with the
+  // message `message`.  It returns the hash of the commit.
+  commit(files, message) {
+    Object.keys(files).forEach((path) => {
+      Files.write(Files.workingCopyPath(path), files[path]);
+      Gitlet.add(path);
+    });
+    Helpers.tick();
+    Gitlet.commit({ m: message });
+    return Refs.hash('HEAD');
+  },
+
+  // **merge()** merges `ref` into the current branch at a time after
+  // the last commit.  It returns the hash of the merge commit.
+  merge(ref) {
+    Helpers.tick();
+    Gitlet.merge(ref, {});
+    return Refs.hash('HEAD');
+  },
+
+  // **cleanUp()** removes the temporary directories made by `repo()`.
+  cleanUp() {
+    dirs.splice(0).forEach((dir) => { fs.rmSync(dir, { recursive: true, force: true }); });
+  },
+};
+
+module.exports = Helpers;
@@ -0,0 +1,94 @@
+const assert = require('assert');
+const Gitlet = require('../gitlet');
+const Log = require('../log');
+const Objects = require('../objects');
+const Helpers = require('./helpers');
+
+// **graph()** draws the graph of the history of `hashes`, with the
+// message of each commit beside it.
+function graph(hashes) {
+  return Log.graph(Log.revList(hashes), h => [Objects.commitMessage(Objects.read(h))]);
+}
+
+// **writeCommit()** writes a commit of the empty tree with the
+// message `message` and the parents `parentHashes`, without touching
+// the index or any ref.
+function writeCommit(message, parentHashes) {
+  Helpers.tick();
+  return Objects.writeCommit(Objects.writeTree({}), message, parentHashes);
+}
+
+module.exports = {
+  'graph draws a criss-cross merge': () => {
+    Helpers.repo();
+    Helpers.commit({ f: 'base\n' }, 'base');
+    Gitlet.branch('x');
+    Gitlet.branch('y');
+    Gitlet.checkout('x');
+    const x1 = Helpers.commit({ x: 'x\n' }, 'x1');
+    Gitlet.checkout('y');
+    Helpers.commit({ y: 'y\n' }, 'y1');
+    Gitlet.checkout('x');
+    const mx = Helpers.merge('y');
+    Gitlet.checkout('y');
+    Gitlet.branch('tmp', x1);
+    const my = Helpers.merge('tmp');
+
+    assert.deepStrictEqual(graph([my, mx]), [
+      '*   Merge tmp into y',
+      '|\\',
+      '| | * Merge y into x',
+      '| |/',
+      '|/|',
+      '* | y1',
+      '| * x1',
+      '|/',
+      '* base',
+      '',
+    ]);
+  },
+
+  'graph moves edges one column per row around an octopus merge': () => {
+    Helpers.repo();
+    const base = writeCommit('base', []);
+    const a = writeCommit('a', [base]);
+    const b = writeCommit('b', [base]);
+    const c = writeCommit('c', [base]);
+    const side = writeCommit('side', [base]);
+    const octopus = writeCommit('octopus', [a, b, c]);
+
+    assert.deepStrictEqual(graph([writeCommit('top', [octopus, side])]), [
+      '*   top',
+      '|\\',
+      '* |     octopus',
+      '|\\ \\',
+      '| |\\ \\',
+      '| | | * side',
+      '| | * | c',
+      '| | |/',
+      '| * | b',
+      '| |/',
+      '* | a',
+      '|/',
+      '* base',
+      '',
+    ]);
+  },
+
+  'log takes the revision after --oneline and --graph': () => {
+    Helpers.repo();
+    Helpers.commit({ f: '1\n' }, 'first');
+    Gitlet.branch('old');
+    Helpers.commit({ f: '2\n' }, 'second');
+
+    assert.strictEqual(Gitlet.runCli(['node', 'gitlet', 'log', '--oneline', 'old']).split(' ')[1],
+      'first\n');
+    assert.strictEqual(Gitlet.runCli(['node', 'gitlet', 'log', '--graph', 'old']).split('\n')[0]
+      .slice(0, 2), '* ');
+    assert.strictEqual(Gitlet.runCli(['node', 'gitlet', 'log', '-n', '1', '--oneline']).trim()
+      .split('\n').length, 1);
+    assert.throws(() => Gitlet.runCli(['node', 'gitlet', 'log', '-n', 'old']), /usage/);
+    assert.throws(() => Gitlet.runCli(['node', 'gitlet', 'log', '--oneline', 'old', 'master']),
+      /usage/);
+  },
+};
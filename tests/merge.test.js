@@ -0,0 +1,66 @@
+const assert = require('assert');
+const Files = require('../files');
+const Gitlet = require('../gitlet');
+const Merge = require('../merge');
+const Objects = require('../objects');
+const Helpers = require('./helpers');
+
+// **crissCross()** makes a repository with branches `x` and `y` that
+// have each merged the other's first commit.  It returns the hashes
+// of the commits.
+function crissCross() {
+  Helpers.repo();
+  const base = Helpers.commit({ f: 'base\n' }, 'base');
+  Gitlet.branch('x');
+  Gitlet.branch('y');
+  Gitlet.checkout('x');
+  const x1 = Helpers.commit({ x: 'x\n' }, 'x1');
+  Gitlet.checkout('y');
+  const y1 = Helpers.commit({ y: 'y\n' }, 'y1');
+  Gitlet.checkout('x');
+  const mx = Helpers.merge('y');
+  Gitlet.checkout('y');
+  Gitlet.branch('tmp', x1);
+  const my = Helpers.merge('tmp');
+  return {
+    base, x1, y1, mx, my,
+  };
+}
+
+module.exports = {
+  'mergeBases finds both bases of a criss-cross merge': () => {
+    const c = crissCross();
+    assert.deepStrictEqual(Merge.mergeBases(c.mx, c.my).sort(), [c.x1, c.y1].sort());
+    assert.deepStrictEqual(Merge.mergeBases(c.my, c.mx).sort(), [c.x1, c.y1].sort());
+    assert.strictEqual(Gitlet.merge_base('x', 'y', { all: true }).split('\n').sort().join('\n'),
+      [c.x1, c.y1].sort().join('\n'));
+  },
+
+  'mergeBases leaves out bases that are ancestors of other bases': () => {
+    const c = crissCross();
+    Gitlet.checkout('x');
+    const x2 = Helpers.commit({ x: 'x2\n' }, 'x2');
+    assert.deepStrictEqual(Merge.mergeBases(x2, c.y1), [c.y1]);
+    assert.deepStrictEqual(Merge.mergeBases(c.x1, c.y1), [c.base]);
+    assert.deepStrictEqual(Merge.mergeBases(x2, c.base), [c.base]);
+  },
+
+  'mergeBases handles the same commit and unrelated commits': () => {
+    const c = crissCross();
+    Helpers.tick();
+    const root = Objects.writeCommit(Objects.writeTree({}), 'root\n', []);
+    assert.deepStrictEqual(Merge.mergeBases(c.mx, c.mx), [c.mx]);
+    assert.deepStrictEqual(Merge.mergeBases(c.mx, root), []);
+  },
+
+  'merging a criss-cross history merges its bases first': () => {
+    crissCross();
+    Gitlet.checkout('x');
+    Helpers.commit({ f: 'base\nx\n' }, 'x2');
+    Gitlet.checkout('y');
+    Helpers.commit({ f: 'y\nbase\n' }, 'y2');
+    const merge = Helpers.merge('x');
+    assert.strictEqual(Objects.parentHashes(Objects.read(merge)).length, 2);
+    assert.strictEqual(Files.read(Files.workingCopyPath('f')), 'y\nbase\nx\n');
+  },
+};
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const Objects = require('../objects');
+const Helpers = require('./helpers');
+
+module.exports = {
+  'writeTree writes trees that git gives the same hashes': () => {
+    Helpers.repo();
+    const blob = Objects.write('hello\n');
+    assert.strictEqual(blob, 'ce013625030ba8dba906f756967f9e9ca394464a');
+    assert.strictEqual(Objects.writeTree({}), '4b825dc642cb6eb9a060e54bf8d69288fbee4904');
+
+    const tree = Objects.writeTree({
+      a0: blob, run: blob, a: { x: blob }, 'a.c': blob, link: blob, 'a-b': blob,
+    }, { run: '100755', link: '120000' });
+    assert.strictEqual(tree, '2cce6c6880199159c260d9ced72199486ed59ba4');
+    assert.deepStrictEqual(Objects.treeEntries(tree).map(e => `${e.mode} ${e.type} ${e.name}`), [
+      '100644 blob a-b', '100644 blob a.c', '040000 tree a', '100644 blob a0',
+      '120000 blob link', '100755 blob run',
+    ]);
+    assert.deepStrictEqual(Objects.fileTree(tree).a, { x: blob });
+  },
+
+  'writeCommit writes the tree, parents and message like git': () => {
+    Helpers.repo();
+    Helpers.tick();
+    const tree = Objects.writeTree({});
+    const first = Objects.writeCommit(tree, 'first\n\nbody', []);
+    const second = Objects.writeCommit(tree, 'second', [first]);
+    const str = Objects.read(second);
+    assert.match(str, new RegExp(`^tree ${tree}\nparent ${first}\n`
+      + 'author .* <.*> \\d+ [+-]\\d{4}\ncommitter .* <.*> \\d+ [+-]\\d{4}\n\nsecond\n$'));
+    assert.strictEqual(Objects.treeHash(str), tree);
+    assert.deepStrictEqual(Objects.parentHashes(str), [first]);
+    assert.deepStrictEqual(Objects.parentHashes(Objects.read(first)), []);
+    assert.strictEqual(Objects.commitMessage(Objects.read(first)), 'first\n\nbody');
+  },
+
+  'trees and commits written by older versions still read': () => {
+    Helpers.repo();
+    const blob = Objects.write('hello\n');
+    const sub = Objects.write(`100644 blob ${blob}\tx y\n`, 'tree');
+    const tree = Objects.write(`040000 tree ${sub}\ta\nblob ${blob} b\n`, 'tree');
+    assert.deepStrictEqual(Objects.fileTree(tree), { a: { 'x y': blob }, b: blob });
+    assert.deepStrictEqual(Objects.treeModes(tree), { 'a/x y': '100644', b: '100644' });
+
+    const commit = Objects.write(`commit ${tree}\nparent ${blob}\nDate:  then\n\n`
+      + '    first\n    \n    body\n', 'commit');
+    assert.strictEqual(Objects.treeHash(Objects.read(commit)), tree);
+    assert.deepStrictEqual(Objects.parentHashes(Objects.read(commit)), [blob]);
+    assert.strictEqual(Objects.commitMessage(Objects.read(commit)), 'first\n\nbody');
+  },
+
+  'treeEntries throws on a tree that is cut short': () => {
+    Helpers.repo();
+    const blob = Buffer.from(Objects.write('hello\n'), 'hex');
+    const tree = Objects.write(Buffer.concat([Buffer.from('100644 f\0'), blob.slice(0, 10)]),
+      'tree');
+    assert.throws(() => Objects.treeEntries(tree), /malformed tree/);
+  },
+};
@@ -0,0 +1,65 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const Objects = require('../objects');
+const Pack = require('../pack');
+const Helpers = require('./helpers');
+
+// **lines()** returns `count` numbered lines, with `changed` in place
+// of the line numbered `at`.
+function lines(count, at, changed) {
+  return Array.from({ length: count }, (_, i) => (i === at ? changed : `line ${i}\n`)).join('');
+}
+
+// **roundTrip()** writes some similar blobs, a tree and a commit to a
+// new repository made with `opts`, packs them and checks that each
+// one reads back from the pack unchanged.  The similar blobs are
+// stored as deltas, so the pack is much smaller than the objects
+// compressed one by one.
+function roundTrip(opts) {
+  Helpers.repo(opts);
+  const blobs = [0, 10, 20, 30].map(i => Objects.write(lines(200, i, 'changed\n')));
+  const tree = Objects.writeTree({ a: blobs[0], b: blobs[1] });
+  const commit = Objects.writeCommit(tree, 'first\n', []);
+  const objects = blobs.concat(tree, commit, Objects.write(''))
+    .map(h => Object.assign({ hash: h }, Objects.readObject(h)));
+
+  const built = Pack.build(objects, Objects.hashAlgorithm());
+  assert.strictEqual(built.pack.length < objects
+    .reduce((size, o) => size + zlib.deflateSync(o.data).length, 0) / 2, true);
+  Pack.store(built);
+  objects.forEach((o) => {
+    assert.deepStrictEqual(Pack.read(o.hash), { type: o.type, data: o.data });
+  });
+  assert.deepStrictEqual(Pack.allHashes().sort(), objects.map(o => o.hash).sort());
+}
+
+module.exports = {
+  'build packs objects that read back unchanged': () => {
+    roundTrip({});
+  },
+
+  'build packs objects of a sha256 repository': () => {
+    roundTrip({ 'object-format': 'sha256' });
+  },
+
+  'read returns undefined for an object that is not packed': () => {
+    Helpers.repo();
+    Pack.write([{ hash: Objects.write('a'), type: 'blob', data: Buffer.from('a') }]);
+    assert.strictEqual(Pack.read(Objects.write('b')), undefined);
+  },
+
+  'applyDelta undoes delta': () => {
+    const source = Buffer.from(lines(100, 50, 'x\n'));
+    [
+      Buffer.from(lines(100, 3, 'y\n')),
+      Buffer.from(lines(120, 110, 'z\n')),
+      Buffer.from(lines(40, -1, '')),
+      Buffer.alloc(0),
+      Buffer.alloc(300, 7),
+    ].forEach((target) => {
+      assert.deepStrictEqual(Pack.applyDelta(source, Pack.delta(source, target)), target);
+    });
+    assert.deepStrictEqual(Pack.applyDelta(Buffer.alloc(0),
+      Pack.delta(Buffer.alloc(0), source)), source);
+  },
+};
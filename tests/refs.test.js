@@ -0,0 +1,34 @@
+const assert = require('assert');
+const Gitlet = require('../gitlet');
+const Refs = require('../refs');
+const Helpers = require('./helpers');
+
+module.exports = {
+  'isValidName accepts names that git accepts': () => {
+    ['master', 'feature/login', 'v1.0', 'a-b_c', 'x@y', 'a.b/c.d', '-x', 'HEAD', 'lock']
+      .forEach(n => assert.strictEqual(Refs.isValidName(n), true, n));
+  },
+
+  'isValidName rejects names that git rejects': () => {
+    ['', '@', '/a', 'a/', 'a.', 'a..b', 'a//b', 'a@{1}', 'a\\b', 'a b', 'a~1', 'a^',
+      'a:b', 'a?', 'a*', 'a[b', 'a\tb', 'a\x7fb', '.a', 'a/.b', 'a.lock', 'a.lock/b',
+      undefined].forEach(n => assert.strictEqual(Refs.isValidName(n), false, n));
+  },
+
+  'isValidBranchName also rejects HEAD and a leading dash': () => {
+    assert.strictEqual(Refs.isValidBranchName('feature/x'), true);
+    assert.strictEqual(Refs.isValidBranchName('HEAD'), false);
+    assert.strictEqual(Refs.isValidBranchName('-x'), false);
+  },
+
+  'conflictingRef finds a ref that a nested name would clash with': () => {
+    Helpers.repo();
+    Helpers.commit({ f: 'f\n' }, 'first');
+    Gitlet.branch('feature/login');
+    assert.strictEqual(Refs.conflictingRef('refs/heads/feature'), 'refs/heads/feature/login');
+    assert.strictEqual(Refs.conflictingRef('refs/heads/feature/login/x'),
+      'refs/heads/feature/login');
+    assert.strictEqual(Refs.conflictingRef('refs/heads/feature/other'), undefined);
+    assert.throws(() => Gitlet.branch('feature'));
+  },
+};
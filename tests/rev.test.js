@@ -0,0 +1,83 @@
+const assert = require('assert');
+const Gitlet = require('../gitlet');
+const Objects = require('../objects');
+const Rev = require('../rev');
+const Helpers = require('./helpers');
+
+// **history()** makes a repository with a merge commit on `master`
+// and an annotated tag `v1` on its first commit.  It returns the
+// hashes of the commits.
+function history() {
+  Helpers.repo();
+  const first = Helpers.commit({ f: 'first\n', 'd/g': 'g\n' }, 'first');
+  Gitlet.tag('v1', undefined, { a: true, m: 'version 1' });
+  Gitlet.branch('side');
+  const second = Helpers.commit({ f: 'second\n' }, 'second');
+  Gitlet.checkout('side');
+  const side = Helpers.commit({ s: 's\n' }, 'side');
+  Gitlet.checkout('master');
+  const merge = Helpers.merge('side');
+  return {
+    first, second, side, merge,
+  };
+}
+
+module.exports = {
+  'parse follows ~ and ^ to parents': () => {
+    const c = history();
+    assert.strictEqual(Rev.parse('master'), c.merge);
+    assert.strictEqual(Rev.parse('@'), c.merge);
+    assert.strictEqual(Rev.parse('HEAD^0'), c.merge);
+    assert.strictEqual(Rev.parse('HEAD^'), c.second);
+    assert.strictEqual(Rev.parse('HEAD^1'), c.second);
+    assert.strictEqual(Rev.parse('HEAD^2'), c.side);
+    assert.strictEqual(Rev.parse('HEAD~'), c.second);
+    assert.strictEqual(Rev.parse('HEAD~2'), c.first);
+    assert.strictEqual(Rev.parse('HEAD^2~1'), c.first);
+    assert.strictEqual(Rev.parse('HEAD^^'), c.first);
+    assert.strictEqual(Rev.parse('HEAD~3'), undefined);
+    assert.strictEqual(Rev.parse('HEAD^3'), undefined);
+    assert.strictEqual(Rev.parse('nothing'), undefined);
+  },
+
+  'parse peels tags and commits with ^{type}': () => {
+    const c = history();
+    const tag = Rev.parse('v1');
+    assert.strictEqual(Objects.typeOf(tag), 'tag');
+    assert.strictEqual(Rev.parse('v1^{}'), c.first);
+    assert.strictEqual(Rev.parse('v1^{commit}'), c.first);
+    assert.strictEqual(Rev.hash('v1'), c.first);
+    assert.strictEqual(Rev.parse('v1^{tree}'), Objects.treeHash(Objects.read(c.first)));
+    assert.strictEqual(Rev.parse('v1~0'), c.first);
+  },
+
+  'parse finds paths in trees and in the index': () => {
+    const c = history();
+    assert.strictEqual(Rev.parse('HEAD:f'), Objects.hash('second\n'));
+    assert.strictEqual(Rev.parse(`${c.first}:f`), Objects.hash('first\n'));
+    assert.strictEqual(Rev.parse('HEAD~2:d/g'), Objects.hash('g\n'));
+    assert.strictEqual(Objects.typeOf(Rev.parse('HEAD:d')), 'tree');
+    assert.strictEqual(Rev.parse('HEAD:missing'), undefined);
+    assert.strictEqual(Rev.parse(':s'), Objects.hash('s\n'));
+    assert.strictEqual(Rev.parse(':0:f'), Objects.hash('second\n'));
+    assert.strictEqual(Rev.parse(':1:f'), undefined);
+  },
+
+  'parse expands abbreviated hashes': () => {
+    const c = history();
+    assert.strictEqual(Rev.parse(c.side.slice(0, 7)), c.side);
+    assert.strictEqual(Rev.parse(`${c.merge.slice(0, 10)}^2`), c.side);
+  },
+
+  'parse reads @{N} from the ref log and @{-N} from checkouts': () => {
+    const c = history();
+    assert.strictEqual(Rev.parse('master@{0}'), c.merge);
+    assert.strictEqual(Rev.parse('master@{1}'), c.second);
+    assert.strictEqual(Rev.parse('master@{2}'), c.first);
+    assert.strictEqual(Rev.parse('master@{9}'), undefined);
+    assert.strictEqual(Rev.parse('@{1}'), c.second);
+    assert.strictEqual(Rev.parse('@{-1}'), c.side);
+    assert.strictEqual(Rev.parse('@{-1}~1'), c.first);
+    assert.throws(() => Rev.parse('master@{bad}'), /invalid revision/);
+  },
+};
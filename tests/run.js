@@ -0,0 +1,37 @@
+// Test runner
+// -----------
+
+// Runs the checks in every `*.test.js` file in this directory.  Each
+// file exports an object that maps the name of a check to a function
+// that throws if the check fails.  Checks that need a repository make
+// one in a temporary directory (see `helpers.js`).  The process exits
+// with a non-zero code if any check fails.
+
+const fs = require('fs');
+const nodePath = require('path');
+const Helpers = require('./helpers');
+
+const cwd = process.cwd();
+const failures = fs.readdirSync(__dirname)
+  .filter(name => name.match(/\.test\.js$/))
+  .sort()
+  .reduce((failed, name) => {
+    // eslint-disable-next-line global-require, import/no-dynamic-require
+    const checks = require(nodePath.join(__dirname, name));
+    return failed.concat(Object.keys(checks).filter((check) => {
+      try {
+        checks[check]();
+        process.stdout.write(`ok ${name}: ${check}\n`);
+        return false;
+      } catch (e) {
+        process.stdout.write(`not ok ${name}: ${check}\n${e.stack.replace(/^/gm, '  ')}\n`);
+        return true;
+      } finally {
+        process.chdir(cwd);
+      }
+    }));
+  }, []);
+
+Helpers.cleanUp();
+process.stdout.write(`${failures.length} failed\n`);
+process.exitCode = failures.length > 0 ? 1 : 0;
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const TextDiff = require('../textDiff');
+
+// **random()** returns a function that returns numbers from `0` to
+// `n - 1`, in the same order on every run.
+function random(seed) {
+  let state = seed;
+  return (n) => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state % n;
+  };
+}
+
+// **lcsLength()** returns the length of the longest common
+// subsequence of the arrays `a` and `b`.
+function lcsLength(a, b) {
+  const row = Array(b.length + 1).fill(0);
+  a.forEach((x) => {
+    let diagonal = 0;
+    b.forEach((y, j) => {
+      const above = row[j + 1];
+      row[j + 1] = x === y ? diagonal + 1 : Math.max(row[j + 1], row[j]);
+      diagonal = above;
+    });
+  });
+  return row[b.length];
+}
+
+// **sides()** returns the lines of the two versions that the edit
+// script `script` compares.
+function sides(script) {
+  return {
+    a: script.filter(e => e.type !== '+').map(e => e.line),
+    b: script.filter(e => e.type !== '-').map(e => e.line),
+  };
+}
+
+module.exports = {
+  'editScript turns a into b with the fewest edits': () => {
+    const next = random(42);
+    for (let i = 0; i < 300; i += 1) {
+      const a = Array.from({ length: next(15) }, () => `${next(4)}\n`);
+      const b = Array.from({ length: next(15) }, () => `${next(4)}\n`);
+      const script = TextDiff.editScript(a, b);
+      assert.deepStrictEqual(sides(script), { a, b });
+      assert.strictEqual(script.filter(e => e.type !== ' ').length,
+        a.length + b.length - 2 * lcsLength(a, b));
+    }
+  },
+
+  'editScript puts the deletions of a run before its insertions': () => {
+    assert.deepStrictEqual(TextDiff.editScript(['a\n', 'b\n', 'c\n', 'd\n'],
+      ['a\n', 'x\n', 'y\n', 'd\n']).map(e => e.type + e.line), [
+      ' a\n', '-b\n', '-c\n', '+x\n', '+y\n', ' d\n',
+    ]);
+  },
+
+  'editScript handles empty and identical inputs': () => {
+    assert.deepStrictEqual(TextDiff.editScript([], []), []);
+    assert.deepStrictEqual(TextDiff.editScript([], ['a\n']).map(e => e.type), ['+']);
+    assert.deepStrictEqual(TextDiff.editScript(['a\n'], []).map(e => e.type), ['-']);
+    assert.deepStrictEqual(TextDiff.editScript(['a\n', 'b\n'], ['a\n', 'b\n'])
+      .map(e => e.type), [' ', ' ']);
+  },
+
+  'unified shows each change with its context': () => {
+    assert.strictEqual(TextDiff.unified('a/f', 'b/f', '1\n2\n3\n4\n5\n6\n7\n8\n9\n',
+      '1\n2\n3\nfour\n5\n6\n7\n8\n9\nten\n', 1), [
+      '--- a/f',
+      '+++ b/f',
+      '@@ -3,3 +3,3 @@',
+      ' 3',
+      '-4',
+      '+four',
+      ' 5',
+      '@@ -9 +9,2 @@',
+      ' 9',
+      '+ten',
+    ].join('\n'));
+  },
+  'merge takes changes to separate regions from both sides': () => {
+    assert.deepStrictEqual(TextDiff.merge('1\n2\n3\n4\n5\n', 'one\n2\n3\n4\n5\n',
+      '1\n2\n3\n4\nfive\n'), { content: 'one\n2\n3\n4\nfive\n', conflicted: false });
+    assert.deepStrictEqual(TextDiff.merge('1\n2\n', '1\nx\n2\n', '1\nx\n2\n'),
+      { content: '1\nx\n2\n', conflicted: false });
+  },
+
+  'merge marks regions that both sides changed differently': () => {
+    const merged = TextDiff.merge('1\n2\n3\n', '1\nr\n3\n', '1\ng\n3\n',
+      { receiverName: 'HEAD', giverName: 'topic' });
+    assert.deepStrictEqual(merged, {
+      content: '1\n<<<<<<< HEAD\nr\n=======\ng\n>>>>>>> topic\n3\n',
+      conflicted: true,
+    });
+  },
+
+  'merge shows the base of a conflict in the diff3 style': () => {
+    assert.strictEqual(TextDiff.merge('1\n2\n3', '1\nr\n3', '1\ng\n3',
+      { style: 'diff3', baseName: 'base' }).content, [
+      '1', '<<<<<<< receiver', 'r', '||||||| base', '2', '=======', 'g',
+      '>>>>>>> giver', '3',
+    ].join('\n'));
+  },
+
+  'merge takes conflicting regions from the favored side': () => {
+    ['receiver', 'giver'].forEach((favor) => {
+      assert.deepStrictEqual(TextDiff.merge('1\n2\n3\n4\n', '1\nr\n3\nr4\n',
+        '1\ng\n3\n4\n', { favor }), {
+        content: `1\n${favor === 'receiver' ? 'r' : 'g'}\n3\nr4\n`,
+        conflicted: false,
+      });
+    });
+  },
+};
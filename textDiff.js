@@ -0,0 +1,347 @@
+// Text diff module
+// ----------------
+
+// Compares two versions of the content of a file line by line.  The
+// comparison uses Myers' algorithm, which finds the shortest list of
+// line insertions and deletions that turns the first version into the
+// second.  That list is called an edit script.  eg:
+// <pre>[
+//   { type: " ", line: "same\n", aIndex: 0, bIndex: 0 },
+//   { type: "-", line: "old\n", aIndex: 1 },
+//   { type: "+", line: "new\n", bIndex: 1 }
+// ]</pre>
+
+const TextDiff = {
+
+  // **isBinary()** returns true if `data`, a buffer or string, looks
+  // like binary content, rather than text that can be compared line
+  // by line.  Like Git, it checks for a NUL byte near the start.
+  isBinary(data) {
+    return data !== undefined && Buffer.from(data).slice(0, 8000).indexOf(0) !== -1;
+  },
+
+  // **lines()** splits `str` into an array of lines.  Each line keeps
+  // its newline, so a last line that has no newline is different from
+  // one that does.
+  lines(str) {
+    if (str === undefined || str === '') {
+      return [];
+    }
+    return str.match(/[^\n]*\n|[^\n]+$/g);
+  },
+
+  // **editScript()** returns the edit script that turns the array of
+  // lines `a` into the array of lines `b`.  It uses the linear space
+  // version of Myers' algorithm: it finds the middle of the shortest
+  // path, then finds the two halves of the path on either side of it
+  // the same way.  Within each run of changes, the deletions come
+  // before the insertions.
+  editScript(a, b) {
+    const script = [];
+
+    // **middleSnake()** searches for the shortest path from the
+    // start of `a.slice(aLo, aHi)` and `b.slice(bLo, bHi)` and the
+    // shortest path back from their ends at the same time, until the
+    // two meet.  It returns the number of edits in the whole path,
+    // `d`, and the diagonal run of unchanged lines in the middle of
+    // it, from `(x, y)` to `(u, v)`, relative to `aLo` and `bLo`.
+    function middleSnake(aLo, aHi, bLo, bHi) {
+      const n = aHi - aLo;
+      const m = bHi - bLo;
+      const delta = n - m;
+      const max = Math.ceil((n + m) / 2);
+      const offset = max + 1;
+      const forward = new Array(2 * max + 3).fill(0);
+      const backward = new Array(2 * max + 3).fill(0);
+
+      for (let d = 0; d <= max; d += 1) {
+        // Extend the furthest reaching paths from the start.
+        for (let k = -d; k <= d; k += 2) {
+          let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+            ? forward[offset + k + 1] : forward[offset + k - 1] + 1;
+          let y = x - k;
+          const [startX, startY] = [x, y];
+          while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+            x += 1;
+            y += 1;
+          }
+          forward[offset + k] = x;
+          if (delta % 2 !== 0 && delta - k >= -(d - 1) && delta - k <= d - 1
+              && x + backward[offset + delta - k] >= n) {
+            return {
+              d: 2 * d - 1, x: startX, y: startY, u: x, v: y,
+            };
+          }
+        }
+
+        // Extend the furthest reaching paths back from the end.
+        for (let k = -d; k <= d; k += 2) {
+          let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+            ? backward[offset + k + 1] : backward[offset + k - 1] + 1;
+          let y = x - k;
+          const [startX, startY] = [x, y];
+          while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+            x += 1;
+            y += 1;
+          }
+          backward[offset + k] = x;
+          if (delta % 2 === 0 && delta - k >= -d && delta - k <= d
+              && x + forward[offset + delta - k] >= n) {
+            return {
+              d: 2 * d, x: n - x, y: m - y, u: n - startX, v: m - startY,
+            };
+          }
+        }
+      }
+      return undefined;
+    }
+
+    // **same()** adds the lines of `a` from `x` up to `u`, which are
+    // the same as the lines of `b` from `y`, to the script.
+    function same(x, y, u) {
+      for (let i = 0; i < u - x; i += 1) {
+        script.push({
+          type: ' ', line: a[x + i], aIndex: x + i, bIndex: y + i,
+        });
+      }
+    }
+
+    // **compare()** adds the edit script that turns
+    // `a.slice(aLo, aHi)` into `b.slice(bLo, bHi)` to the script.
+    function compare(aLo, aHi, bLo, bHi) {
+      // Take off the lines that are the same at the start and end.
+      let start = 0;
+      while (aLo + start < aHi && bLo + start < bHi && a[aLo + start] === b[bLo + start]) {
+        start += 1;
+      }
+      let end = 0;
+      while (aHi - end > aLo + start && bHi - end > bLo + start
+             && a[aHi - 1 - end] === b[bHi - 1 - end]) {
+        end += 1;
+      }
+      same(aLo, bLo, aLo + start);
+
+      const [x0, x1, y0, y1] = [aLo + start, aHi - end, bLo + start, bHi - end];
+      if (x0 === x1 || y0 === y1) {
+        for (let x = x0; x < x1; x += 1) {
+          script.push({ type: '-', line: a[x], aIndex: x });
+        }
+        for (let y = y0; y < y1; y += 1) {
+          script.push({ type: '+', line: b[y], bIndex: y });
+        }
+      } else {
+        const snake = middleSnake(x0, x1, y0, y1);
+        compare(x0, x0 + snake.x, y0, y0 + snake.y);
+        same(x0 + snake.x, y0 + snake.y, x0 + snake.u);
+        compare(x0 + snake.u, x1, y0 + snake.v, y1);
+      }
+
+      same(aHi - end, bHi - end, aHi);
+    }
+
+    compare(0, a.length, 0, b.length);
+
+    // Put the deletions of each run of changes before its insertions.
+    const ordered = [];
+    let inserted = [];
+    script.forEach((e) => {
+      if (e.type === '+') {
+        inserted.push(e);
+      } else if (e.type === '-') {
+        ordered.push(e);
+      } else {
+        ordered.push(...inserted, e);
+        inserted = [];
+      }
+    });
+    return ordered.concat(inserted);
+  },
+
+  // **hunks()** groups the changes in the edit script `script` into
+  // hunks.  Each hunk includes up to `context` unchanged lines on
+  // either side of its changes.  Changes that are close enough to
+  // share context lines go in the same hunk.
+  hunks(script, context) {
+    const changed = script
+      .map((e, i) => (e.type === ' ' ? -1 : i))
+      .filter(i => i !== -1);
+
+    return changed.reduce((hunks, i) => {
+      const last = hunks[hunks.length - 1];
+      if (last !== undefined && i - last.end - 1 <= 2 * context) {
+        last.end = i;
+      } else {
+        hunks.push({ start: i, end: i });
+      }
+      return hunks;
+    }, []).map((h) => {
+      const entries = script.slice(Math.max(h.start - context, 0), h.end + context + 1);
+
+      // A hunk starts at the line before its first line if it has
+      // no lines on that side.
+      const startOf = (index) => {
+        const lines = entries.filter(e => e[index] !== undefined);
+        if (lines.length > 0) {
+          return { start: lines[0][index] + 1, count: lines.length };
+        }
+        const before = script.slice(0, h.start).filter(e => e[index] !== undefined);
+        return { start: before.length, count: 0 };
+      };
+
+      return { a: startOf('aIndex'), b: startOf('bIndex'), entries };
+    });
+  },
+
+  // **unified()** returns the unified diff that turns `aStr` into
+  // `bStr`, showing `context` lines of context around each change.
+  // `aName` and `bName` label the two versions.  It returns an empty
+  // string if the versions are the same.
+  unified(aName, bName, aStr, bStr, context = 3) {
+    const script = TextDiff.editScript(TextDiff.lines(aStr), TextDiff.lines(bStr));
+    const hunks = TextDiff.hunks(script, context);
+    if (hunks.length === 0) {
+      return '';
+    }
+
+    // **range()** formats one side of a hunk header.  A count of one
+    // is left out.
+    const range = r => (r.count === 1 ? `${r.start}` : `${r.start},${r.count}`);
+
+    return [`--- ${aName}`, `+++ ${bName}`]
+      .concat(...hunks.map(h => [`@@ -${range(h.a)} +${range(h.b)} @@`]
+        .concat(...h.entries.map(e => (e.line.match(/\n$/)
+          ? [e.type + e.line.slice(0, -1)]
+          : [e.type + e.line, '\\ No newline at end of file'])))))
+      .join('\n');
+  },
+
+  // **merge()** does a three-way merge of `receiverStr` and `giverStr`,
+  // two versions of a file that both descend from `baseStr`.  Changes
+  // that only one side made to a region of the base are taken from
+  // that side.  If both sides changed the same region, or two regions
+  // that touch, in different ways, the region is marked as a conflict:
+  // <pre><<<<<<< receiverName
+  // receiver lines
+  // =======
+  // giver lines
+  // >>>>>>> giverName</pre>
+  // If `opts.style` is `"diff3"`, the base lines are included between
+  // `|||||||` and `=======`.  If `opts.favor` is `"receiver"` or
+  // `"giver"`, conflicting regions are taken from that side instead of
+  // being marked.  It returns the merged content and whether it has
+  // any conflicts.
+  merge(baseStr, receiverStr, giverStr, opts = {}) {
+    const base = TextDiff.lines(baseStr);
+
+    // **changes()** returns the regions of `base` that `side` changed,
+    // and the lines that `side` replaced each region with.
+    function changes(side, sideStr) {
+      const script = TextDiff.editScript(base, TextDiff.lines(sideStr));
+      return TextDiff.hunks(script, 0).map((h) => {
+        const start = h.a.count === 0 ? h.a.start : h.a.start - 1;
+        return {
+          side,
+          start,
+          end: start + h.a.count,
+          lines: h.entries.filter(e => e.type === '+').map(e => e.line),
+        };
+      });
+    }
+
+    // Group the changes from both sides into clusters of changes that
+    // overlap or touch.
+    const clusters = changes('receiver', receiverStr).concat(changes('giver', giverStr))
+      .sort((x, y) => x.start - y.start || x.end - y.end)
+      .reduce((cs, c) => {
+        const last = cs[cs.length - 1];
+        if (last !== undefined && c.start <= last.end) {
+          last.end = Math.max(last.end, c.end);
+          last.changes.push(c);
+        } else {
+          cs.push({ start: c.start, end: c.end, changes: [c] });
+        }
+        return cs;
+      }, []);
+
+    // **sideLines()** returns the lines that `side` has in place of
+    // the region of the base covered by `cluster`.  It returns
+    // `undefined` if `side` made no changes to that region.
+    function sideLines(cluster, side) {
+      const sideChanges = cluster.changes.filter(c => c.side === side);
+      if (sideChanges.length === 0) {
+        return undefined;
+      }
+
+      let pos = cluster.start;
+      const lines = sideChanges.reduce((ls, c) => {
+        const withChange = ls.concat(base.slice(pos, c.start), c.lines);
+        pos = c.end;
+        return withChange;
+      }, []);
+      return lines.concat(base.slice(pos, cluster.end));
+    }
+
+    // **withNewline()** makes sure the last of `lines` ends with a
+    // newline, so a conflict marker that follows starts on a new line.
+    function withNewline(lines) {
+      return lines.map((l, i) => (i === lines.length - 1 && !l.match(/\n$/) ? `${l}\n` : l));
+    }
+
+    let conflicted = false;
+    let pos = 0;
+    const merged = clusters.reduce((out, cluster) => {
+      const receiver = sideLines(cluster, 'receiver');
+      const giver = sideLines(cluster, 'giver');
+      const unchanged = base.slice(pos, cluster.start);
+      pos = cluster.end;
+
+      if (receiver === undefined || giver === undefined
+          || receiver.join('') === giver.join('')) {
+        return out.concat(unchanged, receiver || giver);
+      } if (opts.favor === 'receiver' || opts.favor === 'giver') {
+        return out.concat(unchanged, opts.favor === 'receiver' ? receiver : giver);
+      }
+
+      conflicted = true;
+      return out.concat(unchanged,
+        [`<<<<<<< ${opts.receiverName || 'receiver'}\n`],
+        withNewline(receiver),
+        opts.style === 'diff3'
+          ? [`||||||| ${opts.baseName || 'base'}\n`].concat(withNewline(base.slice(cluster.start, cluster.end)))
+          : [],
+        ['=======\n'],
+        withNewline(giver),
+        [`>>>>>>> ${opts.giverName || 'giver'}\n`]);
+    }, []);
+
+    return { content: merged.concat(base.slice(pos)).join(''), conflicted };
+  },
+
+  // **mergeBuffers()** is like `merge()`, but takes the three versions
+  // as buffers and returns the merged content as a buffer.  Each byte
+  // is treated as one character, so content that is not UTF-8 comes
+  // through the merge unchanged.
+  mergeBuffers(baseBuf, receiverBuf, giverBuf, opts = {}) {
+    const str = buf => (buf === undefined ? undefined : buf.toString('latin1'));
+    const label = name => (name === undefined ? undefined : str(Buffer.from(name)));
+    const merged = TextDiff.merge(str(baseBuf), str(receiverBuf), str(giverBuf),
+      Object.assign({}, opts, {
+        receiverName: label(opts.receiverName),
+        baseName: label(opts.baseName),
+        giverName: label(opts.giverName),
+      }));
+    return { content: Buffer.from(merged.content, 'latin1'), conflicted: merged.conflicted };
+  },
+
+  // **stat()** returns the number of lines inserted and deleted to
+  // turn `aStr` into `bStr`.
+  stat(aStr, bStr) {
+    const script = TextDiff.editScript(TextDiff.lines(aStr), TextDiff.lines(bStr));
+    return {
+      insertions: script.filter(e => e.type === '+').length,
+      deletions: script.filter(e => e.type === '-').length,
+    };
+  },
+};
+
+module.exports = TextDiff;
@@ -13,11 +13,12 @@ const Util = {
   },
 
   /**
-   * @param {string} string
-   * @returns {string} returns a hash of `string`.
+   * @param {string|Buffer} string
+   * @param {string} algorithm
+   * @returns {string} returns a hash of `string` made with `algorithm`.
    */
-  hash(string) {
-    return crypto.createHash('md5').update(string).digest('hex');
+  hash(string, algorithm = 'sha1') {
+    return crypto.createHash(algorithm).update(string).digest('hex');
   },
 
   // **setIn()** takes an array that contains 1 or more keys and has
@@ -68,14 +69,14 @@ const Util = {
 
   // **onRemote()** allows execution of a command on a remote
   // repository.  It returns an anonymous function that takes another
-  // function `fn`.  When the anonymous function is run, it switches
-  // to `remotePath`, executes `fn`, then switches back to the
-  // original directory.
+  // function `fn` and the arguments to pass to it.  When the
+  // anonymous function is run, it switches to `remotePath`, executes
+  // `fn`, then switches back to the original directory.
   onRemote(remotePath) {
-    return (fn) => {
+    return (fn, ...args) => {
       const originalDir = process.cwd();
       process.chdir(remotePath);
-      const result = fn.apply(null, Array.prototype.slice.call(arguments, 1));
+      const result = fn(...args);
       process.chdir(originalDir);
       return result;
     };
@@ -6,42 +6,56 @@
 
 const fs = require('fs');
 const Files = require('./files');
+const Config = require('./config');
 const Diff = require('./diff');
 const Objects = require('./objects');
+const TextDiff = require('./textDiff');
 
 const WorkingCopy = {
 
   // **write()** takes a diff object (see the diff module for a
   // description of the format) and applies the changes in it to the
-  // working copy.
-  write(dif) {
-    // `composeConflict()` takes the hashes of two versions of the
-    // same file and returns a string that represents the two versions
-    // as a conflicted file:
-    // <pre><<<<<
-    // version1
-    // `======
-    // version2
-    // `>>>>></pre>
-    // Note that Gitlet, unlike real Git, does not do a line by line
-    // diff and mark only the conflicted parts of the file.  If a file
-    // is in conflict, the whole body of the file is marked as one big
-    // conflict.
-    function composeConflict(receiverFileHash, giverFileHash) {
-      return `<<<<<<\n${Objects.read(receiverFileHash)
-      }\n======\n${Objects.read(giverFileHash)
-      }\n>>>>>>\n`;
+  // working copy.  `giverName` is used to label the giver's side of
+  // any conflicts.  If the diff has the modes of the files (see
+  // `Diff.addModes()`), each file that is written is given its mode.
+  write(dif, giverName = 'giver') {
+    // `composeConflict()` takes the hashes of three versions of the
+    // same file and returns a string that represents the receiver and
+    // giver versions merged line by line.  Only the regions that both
+    // changed are marked as conflicts:
+    // <pre><<<<<<< HEAD
+    // receiver lines
+    // `=======
+    // giver lines
+    // `>>>>>>> giverName</pre>
+    // If the `merge.conflictStyle` setting is `diff3`, the base lines
+    // of each conflict are included as well.  Binary files cannot be
+    // merged line by line, so the receiver version is kept as it is.
+    function composeConflict(receiverFileHash, giverFileHash, baseFileHash) {
+      if ([receiverFileHash, giverFileHash, baseFileHash]
+        .filter(h => TextDiff.isBinary(Objects.readBuffer(h))).length > 0) {
+        return Objects.readBuffer(receiverFileHash);
+      }
+
+      return TextDiff.mergeBuffers(Objects.readBuffer(baseFileHash),
+        Objects.readBuffer(receiverFileHash),
+        Objects.readBuffer(giverFileHash),
+        { receiverName: 'HEAD', giverName, style: Config.get('merge.conflictStyle') }).content;
     }
 
     // Go through all the files that have changed, updating the
     // working copy for each.
     Object.keys(dif).forEach((p) => {
       if (dif[p].status === Diff.FILE_STATUS.ADD) {
-        Files.write(Files.workingCopyPath(p), Objects.read(dif[p].receiver || dif[p].giver));
+        Files.write(Files.workingCopyPath(p),
+          Objects.readBuffer(dif[p].receiver || dif[p].giver),
+          dif[p].giverMode || dif[p].receiverMode);
       } else if (dif[p].status === Diff.FILE_STATUS.CONFLICT) {
-        Files.write(Files.workingCopyPath(p), composeConflict(dif[p].receiver, dif[p].giver));
+        Files.write(Files.workingCopyPath(p),
+          composeConflict(dif[p].receiver, dif[p].giver, dif[p].base),
+          dif[p].giverMode === '120000' ? undefined : dif[p].giverMode);
       } else if (dif[p].status === Diff.FILE_STATUS.MODIFY) {
-        Files.write(Files.workingCopyPath(p), Objects.read(dif[p].giver));
+        Files.write(Files.workingCopyPath(p), Objects.readBuffer(dif[p].giver), dif[p].giverMode);
       } else if (dif[p].status === Diff.FILE_STATUS.DELETE) {
         fs.unlinkSync(Files.workingCopyPath(p));
       }